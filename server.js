@@ -5,9 +5,15 @@ import cors from "cors";
 import ExcelJS from "exceljs";
 import multer from "multer";
 import Papa from "papaparse";
+import crypto from "crypto";
+import fs from "fs/promises";
+import { createReadStream } from "fs";
+import path from "path";
+import readline from "readline";
 
 const app = express();
 app.set("trust proxy", true);
+app.use(assignRequestId);
 app.use(express.json({ limit: "10mb" }));
 
 /**
@@ -24,7 +30,8 @@ app.use(cors({
     return cb(new Error("Not allowed by CORS"));
   },
   methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
-  allowedHeaders: ["Content-Type", "Authorization", "X-Requested-With"],
+  allowedHeaders: ["Content-Type", "Authorization", "X-Requested-With", "X-Request-Id", "Accept-Language", "Idempotency-Key"],
+  exposedHeaders: ["X-Request-Id", "Retry-After"],
   credentials: false
 }));
 app.options("*", cors());
@@ -37,717 +44,4824 @@ const upload = multer({
   limits: { fileSize: 15 * 1024 * 1024 } // 15MB
 });
 
+/**
+ * -------------------- Langues (FR / ES / EN) --------------------
+ * Langue des messages : `lang` (query ou body), sinon Accept-Language, sinon FR.
+ * Les messages sont indexés par code d'erreur ; {param} est remplacé par err.params.
+ */
+const LANGS = ["fr", "es", "en"];
+const DEFAULT_LANG = "fr";
+
+const MESSAGES = {
+  fr: {
+    user_email_required: "userEmail requis",
+    user_site_required: "userEmail, siteDomain requis",
+    site_domain_required: "siteDomain requis",
+    site_domain_invalid: "siteDomain invalide",
+    file_required: "Fichier manquant (champ 'file')",
+    unsupported_format: "Format non supporté (csv/xlsx)",
+    no_valid_rows: "Aucune ligne valide trouvée dans l'import.",
+    new_addresses_required: "newAddresses requis (tableau d'adresses)",
+    too_many_rows: "{field} : {max} lignes maximum",
+    address_id_required: "addressId requis",
+    address_ids_required: "addressIds requis",
+    address_not_found: "Adresse introuvable dans l'addressbook",
+    addresses_not_found: "Adresses absentes de l'addressbook",
+    preferred_address: "Impossible de supprimer l'adresse préférée",
+    undo_id_required: "undoId requis",
+    undo_not_found: "undoId introuvable",
+    already_undone: "Déjà annulé",
+    lines_required: "Aucune ligne de distribution (lines)",
+    line_address_id_required: "lines[{index}] : addressId requis",
+    line_qty_invalid: "lines[{index}] : qty invalide",
+    import_incomplete: "Lignes invalides ou adresses non résolues : rien n'a été ajouté au panier",
+    invalid_mode: "mode invalide (append/replace)",
+    list_not_found: "Liste de distribution introuvable",
+    list_name_taken: "Une liste porte déjà ce nom",
+    list_name_invalid: "Nom de liste invalide",
+    profile_name_invalid: "Nom de profil invalide",
+    mapping_empty: "mapping vide",
+    invalid_mapping: "mapping invalide",
+    unknown_mapping_field: "mapping invalide : champ inconnu {field}",
+    invalid_mapping_column: "mapping invalide : colonne de {field}",
+    mapping_profile_not_found: "Profil de mapping introuvable : {name}",
+    invalid_json: "JSON invalide",
+    invalid_json_field: "{field} invalide (JSON)",
+    invalid_matching: "matching invalide (JSON)",
+    unsupported_encoding: "Encodage non supporté : {value}",
+    unsupported_delimiter: "Séparateur non supporté : {value}",
+    sheet_not_found: "Feuille introuvable : {sheet}",
+    invalid_date: "from / to invalides (date ISO attendue)",
+    user_not_found: "Aucun utilisateur Pressero pour cet email",
+    cart_not_found: "Panier introuvable",
+    product_not_found: "Produit introuvable : {urlName}",
+    unknown_product_key: "productKey inconnu pour {siteDomain} : {productKey}",
+    product_required: "productKey ou urlName requis",
+    product_not_allowed: "Produit non autorisé pour {siteDomain} : {urlName}",
+    shipping_method_required: "shippingMethod requis (aucune méthode par défaut pour ce produit)",
+    pricing_options_required: "pricingOptions manquant",
+    quantity_required: "quantities.{slot} requis pour {product}",
+    invalid_shipping: "Méthode de livraison invalide pour certaines lignes",
+    distribution_in_progress: "Distribution déjà en cours pour cette idempotencyKey",
+    idempotency_key_reused: "idempotencyKey déjà utilisée avec un contenu différent",
+    cart_changed: "Le panier a changé depuis la première tentative, utiliser une nouvelle idempotencyKey",
+    run_not_found: "Distribution introuvable",
+    job_not_found: "Tâche introuvable",
+    job_finished: "Tâche déjà terminée",
+    caller_token_required: "Jeton appelant requis",
+    caller_token_invalid: "Jeton appelant invalide",
+    caller_token_expired: "Jeton appelant expiré",
+    caller_mismatch: "{field} ne correspond pas au jeton appelant",
+    site_secret_invalid: "Secret du site invalide",
+    admin_key_invalid: "Clé admin invalide",
+    site_config_invalid: "sites.json invalide : {detail}",
+    cors_forbidden: "Origine non autorisée",
+    route_not_found: "Route introuvable",
+    payload_too_large: "Requête trop volumineuse",
+    file_too_large: "Fichier trop volumineux",
+    upload_error: "Erreur lors de l'envoi du fichier",
+    rate_limited: "Trop de requêtes vers Pressero, réessayez plus tard",
+    upstream_timeout: "Pressero ne répond pas (timeout)",
+    upstream_unreachable: "Pressero injoignable",
+    upstream_auth_failed: "Authentification Pressero refusée",
+    upstream_not_found: "Ressource Pressero introuvable",
+    upstream_validation: "Requête refusée par Pressero ({status})",
+    upstream_error: "Erreur Pressero ({status})",
+    upstream_invalid_response: "Réponse Pressero inattendue",
+    internal_error: "Erreur interne",
+    // rapport de rejets / issues de validation
+    issue_missing: "{field} manquant",
+    issue_not_found: "{field} inconnu dans l'addressbook ({value})",
+    issue_invalid_format: "{field} format invalide « {value} »",
+    issue_invalid_format_expected: "{field} format invalide « {value} » (attendu : {expected})",
+    expected_country: "code pays ISO 3166-1 alpha-2 (FR, ES, GB…)",
+    expected_postal: "code postal {country}",
+    expected_qty: "entier >= 0",
+    report_sheet: "Rejets",
+    report_row: "Ligne",
+    report_errors: "Erreurs"
+  },
+  es: {
+    user_email_required: "userEmail obligatorio",
+    user_site_required: "userEmail y siteDomain obligatorios",
+    site_domain_required: "siteDomain obligatorio",
+    site_domain_invalid: "siteDomain no válido",
+    file_required: "Falta el archivo (campo 'file')",
+    unsupported_format: "Formato no admitido (csv/xlsx)",
+    no_valid_rows: "No se encontró ninguna fila válida en la importación.",
+    new_addresses_required: "newAddresses obligatorio (lista de direcciones)",
+    too_many_rows: "{field}: {max} filas como máximo",
+    address_id_required: "addressId obligatorio",
+    address_ids_required: "addressIds obligatorio",
+    address_not_found: "Dirección no encontrada en la libreta de direcciones",
+    addresses_not_found: "Direcciones ausentes de la libreta de direcciones",
+    preferred_address: "No se puede eliminar la dirección preferida",
+    undo_id_required: "undoId obligatorio",
+    undo_not_found: "undoId no encontrado",
+    already_undone: "Ya anulado",
+    lines_required: "Ninguna línea de distribución (lines)",
+    line_address_id_required: "lines[{index}]: addressId obligatorio",
+    line_qty_invalid: "lines[{index}]: qty no válida",
+    import_incomplete: "Líneas no válidas o direcciones sin resolver: no se ha añadido nada al carrito",
+    invalid_mode: "mode no válido (append/replace)",
+    list_not_found: "Lista de distribución no encontrada",
+    list_name_taken: "Ya existe una lista con este nombre",
+    list_name_invalid: "Nombre de lista no válido",
+    profile_name_invalid: "Nombre de perfil no válido",
+    mapping_empty: "mapping vacío",
+    invalid_mapping: "mapping no válido",
+    unknown_mapping_field: "mapping no válido: campo desconocido {field}",
+    invalid_mapping_column: "mapping no válido: columna de {field}",
+    mapping_profile_not_found: "Perfil de mapping no encontrado: {name}",
+    invalid_json: "JSON no válido",
+    invalid_json_field: "{field} no válido (JSON)",
+    invalid_matching: "matching no válido (JSON)",
+    unsupported_encoding: "Codificación no admitida: {value}",
+    unsupported_delimiter: "Separador no admitido: {value}",
+    sheet_not_found: "Hoja no encontrada: {sheet}",
+    invalid_date: "from / to no válidos (se espera una fecha ISO)",
+    user_not_found: "Ningún usuario Pressero para este email",
+    cart_not_found: "Carrito no encontrado",
+    product_not_found: "Producto no encontrado: {urlName}",
+    unknown_product_key: "productKey desconocido para {siteDomain}: {productKey}",
+    product_required: "productKey o urlName obligatorio",
+    product_not_allowed: "Producto no autorizado para {siteDomain}: {urlName}",
+    shipping_method_required: "shippingMethod obligatorio (ningún método por defecto para este producto)",
+    pricing_options_required: "Faltan pricingOptions",
+    quantity_required: "quantities.{slot} obligatorio para {product}",
+    invalid_shipping: "Método de envío no válido para algunas líneas",
+    distribution_in_progress: "Distribución ya en curso para esta idempotencyKey",
+    idempotency_key_reused: "idempotencyKey ya utilizada con un contenido diferente",
+    cart_changed: "El carrito ha cambiado desde el primer intento, utilice una nueva idempotencyKey",
+    run_not_found: "Distribución no encontrada",
+    job_not_found: "Tarea no encontrada",
+    job_finished: "Tarea ya terminada",
+    caller_token_required: "Token de llamada obligatorio",
+    caller_token_invalid: "Token de llamada no válido",
+    caller_token_expired: "Token de llamada caducado",
+    caller_mismatch: "{field} no corresponde al token de llamada",
+    site_secret_invalid: "Secreto del sitio no válido",
+    admin_key_invalid: "Clave de administración no válida",
+    site_config_invalid: "sites.json no válido: {detail}",
+    cors_forbidden: "Origen no autorizado",
+    route_not_found: "Ruta no encontrada",
+    payload_too_large: "Solicitud demasiado grande",
+    file_too_large: "Archivo demasiado grande",
+    upload_error: "Error al enviar el archivo",
+    rate_limited: "Demasiadas solicitudes a Pressero, inténtelo más tarde",
+    upstream_timeout: "Pressero no responde (timeout)",
+    upstream_unreachable: "Pressero no disponible",
+    upstream_auth_failed: "Autenticación Pressero rechazada",
+    upstream_not_found: "Recurso Pressero no encontrado",
+    upstream_validation: "Solicitud rechazada por Pressero ({status})",
+    upstream_error: "Error de Pressero ({status})",
+    upstream_invalid_response: "Respuesta inesperada de Pressero",
+    internal_error: "Error interno",
+    // informe de rechazos / incidencias de validación
+    issue_missing: "Falta {field}",
+    issue_not_found: "{field} desconocido en la libreta de direcciones ({value})",
+    issue_invalid_format: "{field} con formato no válido « {value} »",
+    issue_invalid_format_expected: "{field} con formato no válido « {value} » (se espera: {expected})",
+    expected_country: "código de país ISO 3166-1 alfa-2 (FR, ES, GB…)",
+    expected_postal: "código postal {country}",
+    expected_qty: "entero >= 0",
+    report_sheet: "Rechazos",
+    report_row: "Fila",
+    report_errors: "Errores"
+  },
+  en: {
+    user_email_required: "userEmail is required",
+    user_site_required: "userEmail and siteDomain are required",
+    site_domain_required: "siteDomain is required",
+    site_domain_invalid: "Invalid siteDomain",
+    file_required: "Missing file ('file' field)",
+    unsupported_format: "Unsupported format (csv/xlsx)",
+    no_valid_rows: "No valid row found in the import.",
+    new_addresses_required: "newAddresses is required (array of addresses)",
+    too_many_rows: "{field}: {max} rows maximum",
+    address_id_required: "addressId is required",
+    address_ids_required: "addressIds is required",
+    address_not_found: "Address not found in the address book",
+    addresses_not_found: "Addresses missing from the address book",
+    preferred_address: "The preferred address cannot be deleted",
+    undo_id_required: "undoId is required",
+    undo_not_found: "undoId not found",
+    already_undone: "Already undone",
+    lines_required: "No distribution lines (lines)",
+    line_address_id_required: "lines[{index}]: addressId is required",
+    line_qty_invalid: "lines[{index}]: invalid qty",
+    import_incomplete: "Invalid lines or unresolved addresses: nothing was added to the cart",
+    invalid_mode: "Invalid mode (append/replace)",
+    list_not_found: "Distribution list not found",
+    list_name_taken: "A list with this name already exists",
+    list_name_invalid: "Invalid list name",
+    profile_name_invalid: "Invalid profile name",
+    mapping_empty: "Empty mapping",
+    invalid_mapping: "Invalid mapping",
+    unknown_mapping_field: "Invalid mapping: unknown field {field}",
+    invalid_mapping_column: "Invalid mapping: column for {field}",
+    mapping_profile_not_found: "Mapping profile not found: {name}",
+    invalid_json: "Invalid JSON",
+    invalid_json_field: "Invalid {field} (JSON)",
+    invalid_matching: "Invalid matching (JSON)",
+    unsupported_encoding: "Unsupported encoding: {value}",
+    unsupported_delimiter: "Unsupported delimiter: {value}",
+    sheet_not_found: "Sheet not found: {sheet}",
+    invalid_date: "Invalid from / to (ISO date expected)",
+    user_not_found: "No Pressero user for this email",
+    cart_not_found: "Cart not found",
+    product_not_found: "Product not found: {urlName}",
+    unknown_product_key: "Unknown productKey for {siteDomain}: {productKey}",
+    product_required: "productKey or urlName is required",
+    product_not_allowed: "Product not allowed for {siteDomain}: {urlName}",
+    shipping_method_required: "shippingMethod is required (no default method for this product)",
+    pricing_options_required: "Missing pricingOptions",
+    quantity_required: "quantities.{slot} is required for {product}",
+    invalid_shipping: "Invalid shipping method for some lines",
+    distribution_in_progress: "Distribution already in progress for this idempotencyKey",
+    idempotency_key_reused: "idempotencyKey already used with different content",
+    cart_changed: "The cart changed since the first attempt, use a new idempotencyKey",
+    run_not_found: "Distribution not found",
+    job_not_found: "Job not found",
+    job_finished: "Job already finished",
+    caller_token_required: "Caller token required",
+    caller_token_invalid: "Invalid caller token",
+    caller_token_expired: "Caller token expired",
+    caller_mismatch: "{field} does not match the caller token",
+    site_secret_invalid: "Invalid site secret",
+    admin_key_invalid: "Invalid admin key",
+    site_config_invalid: "Invalid sites.json: {detail}",
+    cors_forbidden: "Origin not allowed",
+    route_not_found: "Route not found",
+    payload_too_large: "Request too large",
+    file_too_large: "File too large",
+    upload_error: "File upload error",
+    rate_limited: "Too many requests to Pressero, try again later",
+    upstream_timeout: "Pressero is not responding (timeout)",
+    upstream_unreachable: "Pressero is unreachable",
+    upstream_auth_failed: "Pressero authentication refused",
+    upstream_not_found: "Pressero resource not found",
+    upstream_validation: "Request refused by Pressero ({status})",
+    upstream_error: "Pressero error ({status})",
+    upstream_invalid_response: "Unexpected Pressero response",
+    internal_error: "Internal error",
+    // rejected-rows report / validation issues
+    issue_missing: "{field} is missing",
+    issue_not_found: "{field} not found in the address book ({value})",
+    issue_invalid_format: "{field} has an invalid format \"{value}\"",
+    issue_invalid_format_expected: "{field} has an invalid format \"{value}\" (expected: {expected})",
+    expected_country: "ISO 3166-1 alpha-2 country code (FR, ES, GB…)",
+    expected_postal: "{country} postal code",
+    expected_qty: "integer >= 0",
+    report_sheet: "Rejected",
+    report_row: "Row",
+    report_errors: "Errors"
+  }
+};
+
+function parseLang(value) {
+  const lang = String(value || "").trim().toLowerCase().slice(0, 2);
+  return LANGS.includes(lang) ? lang : null;
+}
+
+// langue demandée par l'appelant, null si aucune (les exports gardent alors les en-têtes techniques)
+function explicitLang(req) {
+  const asked = parseLang(req.query?.lang) || parseLang(req.body?.lang);
+  if (asked) return asked;
+  return req.get("accept-language") ? parseLang(req.acceptsLanguages(...LANGS)) : null;
+}
+
+function requestLang(req) {
+  return explicitLang(req) || DEFAULT_LANG;
+}
+
+// message du catalogue, null si le code n'y figure pas
+function t(lang, code, params = {}) {
+  const template = MESSAGES[lang]?.[code] ?? MESSAGES[DEFAULT_LANG][code];
+  if (template == null) return null;
+  return template.replace(/\{(\w+)\}/g, (m, k) => (params[k] != null ? String(params[k]) : m));
+}
+
+/**
+ * -------------------- Erreurs typées / identifiants de requête --------------------
+ * Toute erreur renvoyée au client a la forme { error, code, requestId, ... } :
+ * `error` est traduit d'après `code` (catalogue MESSAGES), `code` est stable.
+ */
+class AppError extends Error {
+  constructor(message, { status = 500, code = "internal_error", params, details } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.params = params;
+    this.details = details;
+  }
+}
+
+class ValidationError extends AppError {
+  constructor(message, opts = {}) {
+    super(message, { code: "validation_error", ...opts, status: 400 });
+  }
+}
+
+// 401 par défaut, 403 quand l'appelant est identifié mais pas autorisé
+class AuthError extends AppError {
+  constructor(message, opts = {}) {
+    super(message, { status: 401, code: "unauthorized", ...opts });
+  }
+}
+
+class NotFoundError extends AppError {
+  constructor(message, opts = {}) {
+    super(message, { code: "not_found", ...opts, status: 404 });
+  }
+}
+
+class ConflictError extends AppError {
+  constructor(message, opts = {}) {
+    super(message, { code: "conflict", ...opts, status: 409 });
+  }
+}
+
+class RateLimitedError extends AppError {
+  constructor(message, { retryAfter, ...opts } = {}) {
+    super(message, { code: "rate_limited", ...opts, status: 429 });
+    this.retryAfter = retryAfter;
+  }
+}
+
+// erreur renvoyée par Pressero : on garde son statut et son Message (details.upstream)
+class UpstreamError extends AppError {
+  constructor(message, { upstreamStatus, ...opts } = {}) {
+    super(message, { status: 502, code: "upstream_error", ...opts });
+    this.upstreamStatus = upstreamStatus;
+  }
+}
+
+function upstreamMessage(data) {
+  if (!data) return null;
+  if (typeof data === "string") return data.slice(0, 500);
+  return data.Message || data.message || data.error || null;
+}
+
+function toAppError(err) {
+  if (err instanceof AppError) return err;
+
+  // réponse Pressero (axios)
+  if (err?.isAxiosError || err?.config?.url) {
+    const status = err.response?.status;
+    const message = upstreamMessage(err.response?.data);
+    const details = { upstream: { status: status ?? null, message } };
+
+    if (!status) {
+      return err.code === "ECONNABORTED" || err.code === "ETIMEDOUT"
+        ? new UpstreamError("Pressero ne répond pas (timeout)", { status: 504, code: "upstream_timeout", details })
+        : new UpstreamError("Pressero injoignable", { code: "upstream_unreachable", details });
+    }
+    if (status === 429) {
+      return new RateLimitedError("Trop de requêtes vers Pressero, réessayez plus tard", {
+        retryAfter: err.response.headers?.["retry-after"],
+        details
+      });
+    }
+    if (status === 401 || status === 403) {
+      return new UpstreamError("Authentification Pressero refusée", { code: "upstream_auth_failed", upstreamStatus: status, details });
+    }
+    if (status === 404) {
+      return new UpstreamError(message || "Ressource Pressero introuvable", {
+        status: 404, code: "upstream_not_found", upstreamStatus: status, details
+      });
+    }
+    if (status < 500) {
+      return new UpstreamError(message || `Requête refusée par Pressero (${status})`, {
+        status: 422, code: "upstream_validation", upstreamStatus: status, params: { status }, details
+      });
+    }
+    return new UpstreamError(message || `Erreur Pressero (${status})`, {
+      code: "upstream_error", upstreamStatus: status, params: { status }, details
+    });
+  }
+
+  // body-parser
+  if (err?.type === "entity.parse.failed") return new ValidationError("JSON invalide", { code: "invalid_json" });
+  if (err?.type === "entity.too.large") {
+    return new AppError("Requête trop volumineuse", { status: 413, code: "payload_too_large" });
+  }
+
+  if (err instanceof multer.MulterError) {
+    return err.code === "LIMIT_FILE_SIZE"
+      ? new AppError("Fichier trop volumineux", { status: 413, code: "file_too_large" })
+      : new ValidationError(err.message, { code: "upload_error" });
+  }
+
+  if (err?.message === "Not allowed by CORS") {
+    return new AuthError("Origine non autorisée", { status: 403, code: "cors_forbidden" });
+  }
+
+  return new AppError(err?.message || "Erreur interne", { status: 500, code: "internal_error" });
+}
+
+// seules les erreurs serveur (5xx) sont loguées avec la pile
+// URL journalisée sans le jeton appelant (?token= des liens GET : exports, /jobs)
+function loggedUrl(req) {
+  try {
+    const url = new URL(req.originalUrl, "http://localhost");
+    url.searchParams.delete("token");
+    return url.pathname + url.search;
+  } catch {
+    return req.path;
+  }
+}
+
+function sendError(req, res, err, extra = {}) {
+  const e = toAppError(err);
+  const prefix = `[${req.id || "-"}] ${req.method} ${loggedUrl(req)}`;
+
+  if (e.status >= 500) console.error(prefix, e.code, err);
+  else console.warn(prefix, e.status, e.code, e.message);
+
+  if (res.headersSent) return;
+  if (e.retryAfter) res.set("Retry-After", String(e.retryAfter));
+
+  return res.status(e.status).json({
+    error: t(requestLang(req), e.code, e.params) ?? e.message,
+    code: e.code,
+    requestId: req.id,
+    ...(e.details || {}),
+    ...extra
+  });
+}
+
+// X-Request-Id : repris de l'appelant s'il est raisonnable, sinon généré
+function assignRequestId(req, res, next) {
+  const incoming = String(req.get("X-Request-Id") || "").trim();
+  req.id = /^[\w.:-]{8,100}$/.test(incoming) ? incoming : crypto.randomUUID();
+  res.set("X-Request-Id", req.id);
+  next();
+}
+
 /**
  * -------------------- ENV (on garde tes variables d'avant) --------------------
  * (NE change pas tes env Render si tu utilisais déjà celles-ci)
  */
 const ADMIN_URL = process.env.PRESSERO_ADMIN_URL || "https://admin.ams.v6.pressero.com";
 
-const AUTH_PAYLOAD = {
-  UserName: process.env.PRESSERO_USERNAME,
-  Password: process.env.PRESSERO_PASSWORD,
-  SubscriberId: process.env.PRESSERO_SUBSCRIBER_ID,
-  ConsumerID: process.env.PRESSERO_CONSUMER_ID
+// identifiants par défaut (sites absents du registre sites.json)
+const ENV_CREDENTIALS = {
+  adminUrl: ADMIN_URL,
+  userName: process.env.PRESSERO_USERNAME,
+  password: process.env.PRESSERO_PASSWORD,
+  subscriberId: process.env.PRESSERO_SUBSCRIBER_ID,
+  consumerId: process.env.PRESSERO_CONSUMER_ID
 };
 
-function assertEnv() {
-  const missing = Object.entries(AUTH_PAYLOAD)
-    .filter(([, v]) => !v)
-    .map(([k]) => k);
+function assertCredentials(creds) {
+  const missing = ["userName", "password", "subscriberId", "consumerId"].filter(k => !creds?.[k]);
 
   if (missing.length) {
-    throw new Error(`Missing ENV: ${missing.join(", ")}`);
+    throw new Error(`Missing credentials: ${missing.join(", ")}`);
   }
 }
 
 function assertSiteDomain(siteDomain) {
-  if (!siteDomain || typeof siteDomain !== "string") throw new Error("siteDomain requis");
+  if (!siteDomain || typeof siteDomain !== "string") throw new ValidationError("siteDomain requis", { code: "site_domain_required" });
   const s = siteDomain.trim().toLowerCase();
-  if (!s.endsWith(".pressero.com")) throw new Error("siteDomain invalide");
-  if (/[\/\s]/.test(s)) throw new Error("siteDomain invalide");
+  if (!s.endsWith(".pressero.com")) throw new ValidationError("siteDomain invalide", { code: "site_domain_invalid" });
+  if (/[\/\s]/.test(s)) throw new ValidationError("siteDomain invalide", { code: "site_domain_invalid" });
   return s;
 }
 
+/**
+ * -------------------- Stockage local (JSON) --------------------
+ * Petits fichiers JSON dans DATA_DIR (monter un disque persistant sur Render).
+ * Écritures sérialisées + écriture atomique (tmp puis rename).
+ */
+const DATA_DIR = process.env.DATA_DIR || path.resolve("data");
+
+function jsonStore(name) {
+  const file = path.join(DATA_DIR, `${name}.json`);
+  let loading = null;
+  let writing = Promise.resolve();
+
+  function load() {
+    if (!loading) {
+      loading = fs.readFile(file, "utf8")
+        .then(txt => JSON.parse(txt))
+        .catch(e => {
+          if (e.code === "ENOENT") return {};
+          throw e;
+        });
+    }
+    return loading;
+  }
+
+  function save() {
+    writing = writing
+      .catch(() => {})
+      .then(async () => {
+        const data = await load();
+        await fs.mkdir(DATA_DIR, { recursive: true });
+        const tmp = `${file}.tmp`;
+        await fs.writeFile(tmp, JSON.stringify(data));
+        await fs.rename(tmp, file);
+      });
+    return writing;
+  }
+
+  return { load, save };
+}
+
+/**
+ * -------------------- Journal d'audit (JSON-lines) --------------------
+ * Une ligne JSON par opération (imports, mutations d'adresses, envois au panier) dans DATA_DIR/audit.jsonl.
+ * Écriture en append, sérialisée ; une erreur d'écriture est loguée mais ne fait jamais échouer la requête.
+ */
+const AUDIT_FILE = path.join(DATA_DIR, "audit.jsonl");
+const AUDIT_QUERY_MAX = 5000;
+
+let auditWriting = Promise.resolve();
+
+// startedAt (Date.now() au début de l'opération) => durationMs
+function audit(type, entry, startedAt) {
+  const record = {
+    id: crypto.randomUUID(),
+    at: new Date().toISOString(),
+    type,
+    ...(startedAt ? { durationMs: Date.now() - startedAt } : {}),
+    ...entry
+  };
+
+  auditWriting = auditWriting
+    .then(async () => {
+      await fs.mkdir(DATA_DIR, { recursive: true });
+      await fs.appendFile(AUDIT_FILE, JSON.stringify(record) + "\n");
+    })
+    .catch(e => console.error("Audit non écrit:", e.message));
+  return record;
+}
+
+// filtres : userEmail, siteDomain, type (préfixe : "address" => address.*), from / to (ISO, date seule = journée entière)
+async function readAudit({ userEmail, siteDomain, type, from, to, limit = 500 } = {}) {
+  const fromTs = from ? Date.parse(from) : -Infinity;
+  const toTs = to ? Date.parse(/^\d{4}-\d{2}-\d{2}$/.test(to) ? `${to}T23:59:59.999Z` : to) : Infinity;
+  if (Number.isNaN(fromTs) || Number.isNaN(toTs)) throw new ValidationError("from / to invalides (date ISO attendue)", { code: "invalid_date" });
+  const max = Math.min(Math.max(parseInt(limit, 10) || 500, 1), AUDIT_QUERY_MAX);
+
+  await auditWriting;
+  try {
+    await fs.access(AUDIT_FILE);
+  } catch {
+    return [];
+  }
+
+  const matches = [];
+  const lines = readline.createInterface({ input: createReadStream(AUDIT_FILE, "utf8"), crlfDelay: Infinity });
+  for await (const line of lines) {
+    if (!line.trim()) continue;
+    let r;
+    try {
+      r = JSON.parse(line);
+    } catch {
+      continue; // ligne tronquée (arrêt pendant une écriture)
+    }
+    const ts = Date.parse(r.at);
+    if (ts < fromTs || ts > toTs) continue;
+    if (userEmail && norm(r.userEmail) !== norm(userEmail)) continue;
+    if (siteDomain && r.siteDomain !== String(siteDomain).trim().toLowerCase()) continue;
+    if (type && r.type !== type && !String(r.type).startsWith(`${type}.`)) continue;
+    matches.push(r);
+    if (matches.length > max) matches.shift();
+  }
+
+  // plus récent d'abord
+  return matches.reverse();
+}
+
+/**
+ * -------------------- Registre des sites (sites.json) --------------------
+ * Configuration par siteDomain, chargée au démarrage, rechargeable via POST /admin/sites/reload.
+ * Permet de servir plusieurs abonnés Pressero depuis la même instance.
+ *
+ * {
+ *   "sites": {
+ *     "boutique.pressero.com": {
+ *       "credentials": { "adminUrl": "...", "userName": "...", "password": "env:PRESSERO_PASSWORD_B", ... },
+ *       "callerSecret": "env:CALLER_SECRET_B",
+ *       "defaultCountry": "ES",
+ *       "defaultShippingMethod": "<guid>",
+ *       "products": {
+ *         "brochure-dist": { "urlName": "brochure-dist", "shippingMethod": "<guid>", "quantities": ["line", "total", "pages"] }
+ *       }
+ *     }
+ *   }
+ * }
+ * "env:NOM" => valeur lue dans process.env (les secrets restent hors du fichier).
+ * Site absent du registre => identifiants ENV, pays FR, aucun produit restreint.
+ */
+const SITES_CONFIG = process.env.SITES_CONFIG || path.resolve("sites.json");
+
+function configValue(v, where) {
+  if (typeof v !== "string" || !v.startsWith("env:")) return v;
+  const name = v.slice(4);
+  if (!process.env[name]) throw new Error(`${where}: variable d'environnement ${name} absente`);
+  return process.env[name];
+}
+
+function parseSiteEntry(sd, entry) {
+  const where = `sites.json [${sd}]`;
+  if (!entry || typeof entry !== "object" || Array.isArray(entry)) throw new Error(`${where}: objet attendu`);
+
+  const site = {
+    siteDomain: sd,
+    credentials: ENV_CREDENTIALS,
+    callerSecret: entry.callerSecret ? String(configValue(entry.callerSecret, where)) : null,
+    defaultCountry: String(entry.defaultCountry || "FR").trim().toUpperCase(),
+    defaultShippingMethod: entry.defaultShippingMethod || null,
+    products: {}
+  };
+
+  if (!/^[A-Z]{2}$/.test(site.defaultCountry)) throw new Error(`${where}: defaultCountry invalide`);
+
+  if (entry.credentials) {
+    const c = entry.credentials;
+    site.credentials = {
+      adminUrl: configValue(c.adminUrl, where) || ADMIN_URL,
+      userName: configValue(c.userName, where),
+      password: configValue(c.password, where),
+      subscriberId: configValue(c.subscriberId, where),
+      consumerId: configValue(c.consumerId, where)
+    };
+    try {
+      assertCredentials(site.credentials);
+    } catch (e) {
+      throw new Error(`${where}: ${e.message}`);
+    }
+  }
+
+  for (const [key, p] of Object.entries(entry.products || {})) {
+    if (!p?.urlName) throw new Error(`${where} produit "${key}": urlName requis`);
+    const quantities = p.quantities || null;
+    if (quantities && (!Array.isArray(quantities) || quantities[0] !== "line" || !quantities.every(q => typeof q === "string" && q)))
+      throw new Error(`${where} produit "${key}": quantities doit commencer par "line"`);
+
+    site.products[key] = {
+      key,
+      urlName: String(p.urlName),
+      shippingMethod: p.shippingMethod || null,
+      quantities,
+      pricingOptions: Array.isArray(p.pricingOptions) ? p.pricingOptions : null
+    };
+  }
+
+  return site;
+}
+
+async function readSiteRegistry() {
+  let txt;
+  try {
+    txt = await fs.readFile(SITES_CONFIG, "utf8");
+  } catch (e) {
+    if (e.code === "ENOENT") return {};
+    throw e;
+  }
+
+  const parsed = JSON.parse(txt);
+  const registry = {};
+  for (const [domain, entry] of Object.entries(parsed?.sites || {})) {
+    const sd = assertSiteDomain(domain);
+    registry[sd] = parseSiteEntry(sd, entry);
+  }
+  return registry;
+}
+
+// un fichier invalide au démarrage => on refuse de démarrer ; au reload => on garde l'ancien
+let siteRegistry = await readSiteRegistry();
+
+async function reloadSiteRegistry() {
+  siteRegistry = await readSiteRegistry();
+  return Object.keys(siteRegistry);
+}
+
+function siteConfig(sd) {
+  return siteRegistry[sd] || {
+    siteDomain: sd,
+    credentials: ENV_CREDENTIALS,
+    callerSecret: null,
+    defaultCountry: "FR",
+    defaultShippingMethod: null,
+    products: {}
+  };
+}
+
 /**
  * -------------------- AUTH / API --------------------
  * On garde EXACTEMENT la méthode qui marchait chez toi.
  */
-async function authenticate() {
-  assertEnv();
-  const r = await axios.post(`${ADMIN_URL}/api/V2/Authentication`, AUTH_PAYLOAD, {
+async function authenticate(creds) {
+  assertCredentials(creds);
+  const payload = {
+    UserName: creds.userName,
+    Password: creds.password,
+    SubscriberId: creds.subscriberId,
+    ConsumerID: creds.consumerId
+  };
+  const r = await axios.post(`${creds.adminUrl}/api/V2/Authentication`, payload, {
     headers: { "Content-Type": "application/json" },
     timeout: 30000
   });
 
   const token = r?.data?.Token;
-  if (!token) throw new Error("Token introuvable dans la réponse auth (champ Token)");
+  if (!token) throw new UpstreamError("Token introuvable dans la réponse auth (champ Token)", { code: "upstream_auth_failed" });
   return token;
 }
 
-function api(token) {
-  return axios.create({
-    baseURL: ADMIN_URL,
-    timeout: 30000,
-    headers: {
-      "Accept": "application/json, text/plain, */*",
-      "Content-Type": "application/json",
-      "Authorization": `token ${token}`
+/**
+ * Cache du token admin : un token par jeu d'identifiants (abonné), partagé par toutes les routes,
+ * une seule authentification en vol à la fois, renouvellement avant expiration.
+ */
+const TOKEN_TTL_MS = Number(process.env.PRESSERO_TOKEN_TTL_MS) || 20 * 60 * 1000;
+const TOKEN_REFRESH_MARGIN_MS = Number(process.env.PRESSERO_TOKEN_REFRESH_MARGIN_MS) || 2 * 60 * 1000;
+
+const tokenCaches = new Map();
+
+function tokenCacheFor(creds) {
+  const key = crypto.createHash("sha256").update(JSON.stringify(creds)).digest("hex");
+  if (!tokenCaches.has(key)) tokenCaches.set(key, { token: null, expiresAt: 0, pending: null });
+  return tokenCaches.get(key);
+}
+
+function refreshToken(creds) {
+  const tokenCache = tokenCacheFor(creds);
+  if (!tokenCache.pending) {
+    tokenCache.pending = authenticate(creds)
+      .then(token => {
+        tokenCache.token = token;
+        tokenCache.expiresAt = Date.now() + TOKEN_TTL_MS;
+        return token;
+      })
+      .finally(() => {
+        tokenCache.pending = null;
+      });
+  }
+  return tokenCache.pending;
+}
+
+async function getToken(creds = ENV_CREDENTIALS) {
+  const tokenCache = tokenCacheFor(creds);
+  const now = Date.now();
+
+  if (tokenCache.token && now < tokenCache.expiresAt) {
+    // bientôt expiré : on renouvelle en arrière-plan, le token actuel reste utilisable
+    if (now >= tokenCache.expiresAt - TOKEN_REFRESH_MARGIN_MS) {
+      refreshToken(creds).catch(e => console.error("Token refresh failed:", e.message));
     }
-  });
+    return tokenCache.token;
+  }
+
+  return refreshToken(creds);
+}
+
+// invalide le token seulement s'il n'a pas déjà été remplacé (401 concurrents)
+function invalidateToken(creds, token) {
+  const tokenCache = tokenCacheFor(creds);
+  if (tokenCache.token === token) {
+    tokenCache.token = null;
+    tokenCache.expiresAt = 0;
+  }
 }
 
 /**
- * -------------------- Normalisation / signatures anti-doublons --------------------
+ * -------------------- Batch : concurrence, rate limit, retry --------------------
+ * - runBatch : N workers en parallèle, résultats dans l'ordre des lignes
+ * - rate limit par host (espacement minimal entre deux appels)
+ * - retry avec backoff exponentiel sur 429 / 5xx / timeouts
+ *   (POST seulement sur 429, sauf config.retryable : un POST rejoué peut créer un doublon)
  */
-function norm(s) {
-  return (s ?? "")
-    .toString()
-    .trim()
-    .toLowerCase()
-    .replace(/\s+/g, " ")
-    .replace(/[’']/g, "'")
-    .trim();
-}
+const BATCH_CONCURRENCY = Number(process.env.BATCH_CONCURRENCY) || 4;
+const BATCH_CONCURRENCY_MAX = 10;
+const PRESSERO_RATE_PER_SEC = Number(process.env.PRESSERO_RATE_PER_SEC) || 10;
+const PRESSERO_MAX_RETRIES = Number(process.env.PRESSERO_MAX_RETRIES ?? 3);
+const RETRY_BASE_MS = Number(process.env.PRESSERO_RETRY_BASE_MS) || 500;
+const RETRY_MAX_MS = 15000;
 
-// signature "sans Business" : c'est la clé la plus sûre pour éviter les doublons
-function sigNoBusiness(a) {
-  return `${norm(a?.Address1)}|${norm(a?.Postal)}|${norm(a?.City)}|${norm(a?.Country || "")}`;
+const sleep = ms => new Promise(r => setTimeout(r, ms));
+
+function batchConcurrency(v) {
+  const n = parseInt(v, 10);
+  if (!n || n < 1) return BATCH_CONCURRENCY;
+  return Math.min(n, BATCH_CONCURRENCY_MAX);
 }
 
-function pick(obj, keys) {
-  if (!obj) return "";
-  const lower = Object.fromEntries(
-    Object.entries(obj).map(([k, v]) => [String(k).toLowerCase().trim(), v])
-  );
-  for (const k of keys) {
-    const v = lower[String(k).toLowerCase().trim()];
-    if (v !== undefined && v !== null && String(v).trim() !== "") return v;
+// results[i] = await worker(items[i], i) ; une exception arrête le lot (les workers gèrent leurs erreurs "ligne")
+// shouldStop() : annulation, les lignes non démarrées restent undefined ; onItem(result, i) après chaque ligne
+async function runBatch(items, worker, { concurrency = BATCH_CONCURRENCY, shouldStop, onItem } = {}) {
+  const results = new Array(items.length);
+  let next = 0;
+  let failed = null;
+
+  async function lane() {
+    while (!failed && next < items.length && !shouldStop?.()) {
+      const i = next++;
+      try {
+        results[i] = await worker(items[i], i);
+        onItem?.(results[i], i);
+      } catch (e) {
+        failed = failed || e;
+      }
+    }
   }
-  return "";
+
+  const lanes = Math.max(1, Math.min(concurrency, items.length));
+  await Promise.all(Array.from({ length: lanes }, lane));
+  if (failed) throw failed;
+  return results;
 }
 
-function normalizeImportedAddress(r) {
-  const AddressId = String(pick(r, ["addressid", "AddressId", "id", "Id"]) || "").trim() || undefined;
+const hostSlots = new Map();
 
-  const addr = {
-    AddressId,
-    Business: String(pick(r, ["business", "société", "societe", "company"]) || "").trim(),
-    FirstName: String(pick(r, ["firstname", "prénom", "prenom", "nombre"]) || "").trim(),
-    LastName: String(pick(r, ["lastname", "nom", "apellido"]) || "").trim(),
-    Title: String(pick(r, ["title", "titre", "cargo"]) || "").trim(),
-    Address1: String(pick(r, ["address1", "adresse", "direccion", "dirección", "address"]) || "").trim(),
-    Address2: String(pick(r, ["address2"]) || "").trim(),
-    Address3: String(pick(r, ["address3"]) || "").trim(),
-    City: String(pick(r, ["city", "ville", "ciudad"]) || "").trim(),
-    StateProvince: String(pick(r, ["stateprovince", "state", "province", "région", "region"]) || "").trim() || "NA",
-    Postal: String(pick(r, ["postal", "cp", "codepostal", "codigopostal", "zip"]) || "").trim(),
-    Country: String(pick(r, ["country", "pays", "país", "pais"]) || "").trim() || "FR",
-    Phone: String(pick(r, ["phone", "téléphone", "telephone", "telefono"]) || "").trim(),
-    Email: String(pick(r, ["email", "mail"]) || "").trim()
-  };
+async function acquireHostSlot(host) {
+  const interval = 1000 / PRESSERO_RATE_PER_SEC;
+  const now = Date.now();
+  const slot = Math.max(now, hostSlots.get(host) || 0);
+  hostSlots.set(host, slot + interval);
+  if (slot > now) await sleep(slot - now);
+}
 
-  // champs minimaux
-  if (!addr.Address1 || !addr.City || !addr.Postal || !addr.Country) return null;
+const RETRY_STATUSES = new Set([429, 500, 502, 503, 504]);
+const RETRY_CODES = new Set(["ECONNABORTED", "ETIMEDOUT", "ECONNRESET", "EAI_AGAIN", "ECONNREFUSED"]);
 
-  // par défaut
-  if (!addr.Business) addr.Business = "Distribution";
+function isRetryable(err) {
+  const config = err?.config;
+  if (!config || (config._retryCount || 0) >= PRESSERO_MAX_RETRIES) return false;
 
-  return addr;
+  const status = err?.response?.status;
+  if (status === 429) return true;
+
+  const method = String(config.method || "get").toLowerCase();
+  const idempotent = method !== "post" || config.retryable === true;
+  if (!idempotent) return false;
+
+  return RETRY_STATUSES.has(status) || (!err.response && RETRY_CODES.has(err.code));
 }
 
-/**
- * -------------------- Parsers CSV/XLSX --------------------
- */
-async function parseCsvBuffer(buf) {
-  const text = buf.toString("utf8");
-  const parsed = Papa.parse(text, { header: true, skipEmptyLines: true });
-  return (parsed.data || []).map(normalizeImportedAddress).filter(Boolean);
+function retryDelay(err, attempt) {
+  const retryAfter = Number(err?.response?.headers?.["retry-after"]);
+  if (Number.isFinite(retryAfter) && retryAfter > 0) return Math.min(retryAfter * 1000, RETRY_MAX_MS);
+
+  const base = RETRY_BASE_MS * 2 ** (attempt - 1);
+  return Math.min(base + Math.random() * base / 2, RETRY_MAX_MS);
 }
 
-async function parseXlsxBuffer(buf) {
-  const wb = new ExcelJS.Workbook();
-  await wb.xlsx.load(buf);
-  const ws = wb.worksheets[0];
-  if (!ws) return [];
+function api(token, creds = ENV_CREDENTIALS) {
+  let current = token;
+
+  const client = axios.create({
+    baseURL: creds.adminUrl,
+    timeout: 30000,
+    headers: {
+      "Accept": "application/json, text/plain, */*",
+      "Content-Type": "application/json"
+    }
+  });
 
-  const headerRow = ws.getRow(1);
-  const headers = headerRow.values.slice(1).map(h => String(h || "").trim());
+  client.interceptors.request.use(async config => {
+    await acquireHostSlot(new URL(config.baseURL || creds.adminUrl).host);
+    config.headers["Authorization"] = `token ${current}`;
+    return config;
+  });
 
-  const rows = [];
-  ws.eachRow((row, rowNumber) => {
-    if (rowNumber === 1) return;
-    const obj = {};
-    headers.forEach((h, idx) => {
-      obj[h] = row.getCell(idx + 1).value;
-    });
-    const n = normalizeImportedAddress(obj);
-    if (n) rows.push(n);
+  client.interceptors.response.use(null, async err => {
+    const config = err?.config;
+    if (!config) throw err;
+
+    // 401 => on se ré-authentifie et on rejoue la requête une seule fois
+    if (err?.response?.status === 401 && !config._authRetried) {
+      config._authRetried = true;
+      invalidateToken(creds, current);
+      current = await getToken(creds);
+      return client.request(config);
+    }
+
+    if (isRetryable(err)) {
+      config._retryCount = (config._retryCount || 0) + 1;
+      await sleep(retryDelay(err, config._retryCount));
+      return client.request(config);
+    }
+
+    throw err;
   });
 
-  return rows;
+  return client;
+}
+
+// client admin du site (identifiants du registre, sinon ENV)
+async function adminClient(sd) {
+  const { credentials } = siteConfig(sd);
+  return api(await getToken(credentials), credentials);
 }
 
 /**
- * -------------------- Pressero helpers --------------------
+ * -------------------- Jobs (tâches en arrière-plan) --------------------
+ * Les imports / distributions longs peuvent tourner hors de la requête HTTP (background=true) :
+ * réponse 202 { jobId }, puis /jobs/:id (polling), /jobs/:id/events (SSE), /jobs/:id/cancel.
+ * En mémoire : un redémarrage perd les jobs (les runs de distribution restent reprenables).
  */
-async function getUserId(client, siteDomain, email) {
-  const r = await client.get(`/api/site/${siteDomain}/users/`, {
-    params: { pageNumber: 0, pageSize: 1, email, includeDeleted: false }
-  });
-  const userId = r?.data?.Items?.[0]?.UserId;
-  if (!userId) throw new Error("UserId introuvable pour cet email");
-  return userId;
+const JOBS_MAX_RUNNING = Number(process.env.JOBS_MAX_RUNNING) || 2;
+const JOB_TTL_MS = 60 * 60 * 1000;
+const JOB_EMIT_INTERVAL_MS = 250;
+
+const jobs = new Map();
+const jobQueue = [];
+let jobsRunning = 0;
+
+// contexte passé au travail : compteurs de progression + annulation
+function inlineJobContext() {
+  return { progress() {}, increment() {}, cancelled: () => false };
 }
 
-async function getCartId(client, siteDomain, userId) {
-  const r = await client.get(`/api/cart/${siteDomain}/`, { params: { userId } });
-  const cartId = r?.data?.Id;
-  if (!cartId) throw new Error("CartId introuvable");
-  return cartId;
+function jobView(job) {
+  return {
+    jobId: job.id,
+    type: job.type,
+    status: job.status,
+    progress: job.progress,
+    result: job.result,
+    error: job.error,
+    errorCode: job.errorCode,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt
+  };
 }
 
-async function getAddressBook(client, siteDomain, userId) {
-  const r = await client.get(`/api/site/${siteDomain}/Addressbook/${userId}`);
-  return r.data;
+function emitJob(job, event) {
+  for (const listener of job.listeners) listener(event, jobView(job));
 }
 
-// Resolve ProductId from UrlName
-async function resolveProductId(client, siteDomain, urlName) {
-  const r = await client.post(
-    `/api/site/${siteDomain}/products`,
-    [{ Column: "UrlName", Value: urlName, Operator: "isequalto" }],
-    { params: { pageNumber: 0, pageSize: 1, includeDeleted: false } }
-  );
+// progression : au plus un événement toutes les JOB_EMIT_INTERVAL_MS
+function scheduleJobEmit(job) {
+  if (job.emitTimer) return;
+  job.emitTimer = setTimeout(() => {
+    job.emitTimer = null;
+    emitJob(job, "progress");
+  }, JOB_EMIT_INTERVAL_MS);
+}
 
-  const item = r?.data?.Items?.[0];
-  const productId = item?.ProductId;
-  if (!productId) throw new Error("ProductId introuvable pour UrlName=" + urlName);
-  return productId;
+function finishJob(job, status) {
+  job.status = status;
+  job.finishedAt = new Date().toISOString();
+  clearTimeout(job.emitTimer);
+  job.emitTimer = null;
+  emitJob(job, "done");
+  job.listeners.clear();
+  setTimeout(() => jobs.delete(job.id), JOB_TTL_MS).unref();
+}
+
+async function runJob(job) {
+  job.status = "running";
+  job.onCancel = null; // le travail démarre : c'est lui qui libère ses ressources
+  job.startedAt = new Date().toISOString();
+  emitJob(job, "progress");
+
+  const ctx = {
+    progress: patch => {
+      Object.assign(job.progress, patch);
+      scheduleJobEmit(job);
+    },
+    increment: (key, n = 1) => {
+      job.progress[key] = (job.progress[key] || 0) + n;
+      if (key !== "done" && key !== "total") job.progress.done = (job.progress.done || 0) + n;
+      scheduleJobEmit(job);
+    },
+    cancelled: () => job.cancelRequested
+  };
+
+  try {
+    job.result = await job.work(ctx);
+    finishJob(job, job.cancelRequested ? "cancelled" : "completed");
+  } catch (e) {
+    const err = toAppError(e);
+    console.error(`[job ${job.id}]`, err.code, e);
+    job.error = t(job.lang, err.code, err.params) ?? err.message;
+    job.errorCode = err.code;
+    finishJob(job, "failed");
+  } finally {
+    job.work = null;
+  }
+}
+
+function pumpJobs() {
+  while (jobsRunning < JOBS_MAX_RUNNING && jobQueue.length) {
+    const job = jobQueue.shift();
+    if (job.status !== "queued") continue;
+
+    jobsRunning++;
+    runJob(job).finally(() => {
+      jobsRunning--;
+      pumpJobs();
+    });
+  }
+}
+
+// onCancel : libère ce que la requête a réservé (verrous…) si la tâche est annulée avant de démarrer
+function createJob(type, owner, work, { lang = DEFAULT_LANG, onCancel = null } = {}) {
+  const job = {
+    id: crypto.randomUUID(),
+    type,
+    owner,
+    lang,
+    status: "queued",
+    progress: { done: 0 },
+    result: null,
+    error: null,
+    errorCode: null,
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    cancelRequested: false,
+    listeners: new Set(),
+    emitTimer: null,
+    work,
+    onCancel
+  };
+
+  jobs.set(job.id, job);
+  jobQueue.push(job);
+  pumpJobs();
+  return job;
+}
+
+// annulation d'une tâche encore en file : work ne tournera jamais, onCancel fait le ménage
+function cancelQueuedJob(job) {
+  const onCancel = job.onCancel;
+  job.work = null;
+  job.onCancel = null;
+  finishJob(job, "cancelled");
+  if (onCancel) {
+    try {
+      onCancel();
+    } catch (e) {
+      console.error(`[job ${job.id}] onCancel`, e);
+    }
+  }
+}
+
+// background=true => 202 + jobId, sinon exécution dans la requête
+async function respondWithJob(req, res, type, owner, work, { onCancel } = {}) {
+  if (!isTruthy(req.body?.background)) {
+    return res.json(await work(inlineJobContext()));
+  }
+
+  const job = createJob(type, owner, work, { lang: requestLang(req), onCancel });
+  return res.status(202).json({
+    ok: true,
+    jobId: job.id,
+    status: job.status,
+    statusUrl: `/jobs/${job.id}`,
+    eventsUrl: `/jobs/${job.id}/events`
+  });
+}
+
+/**
+ * -------------------- Normalisation / signatures anti-doublons --------------------
+ */
+function norm(s) {
+  return (s ?? "")
+    .toString()
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, " ")
+    .replace(/[’']/g, "'")
+    .trim();
+}
+
+// signature "sans Business" : c'est la clé la plus sûre pour éviter les doublons
+function sigNoBusiness(a) {
+  return `${norm(a?.Address1)}|${norm(a?.Postal)}|${norm(a?.City)}|${norm(a?.Country || "")}`;
+}
+
+/**
+ * -------------------- Matching approximatif (doublons) --------------------
+ * "12 R. de la Paix" == "12 rue de la Paix", "St Denis" == "Saint-Denis"
+ * - pliage des accents / ponctuation
+ * - expansion des types de voie (FR/ES/EN) vers une forme canonique
+ * - extraction du numéro (12, 12bis, "Calle Mayor, 12")
+ * - score de similarité (Levenshtein) sur la voie et la ville, CP + pays obligatoires
+ */
+const STREET_TYPES = {
+  // FR
+  r: "rue", rue: "rue",
+  av: "avenue", ave: "avenue", avenue: "avenue",
+  bd: "boulevard", bld: "boulevard", blvd: "boulevard", boul: "boulevard", boulevard: "boulevard",
+  pl: "place", place: "place",
+  imp: "impasse", impasse: "impasse",
+  all: "allee", allee: "allee",
+  ch: "chemin", chem: "chemin", chemin: "chemin",
+  rte: "route", route: "route",
+  fg: "faubourg", fbg: "faubourg", faubourg: "faubourg",
+  sq: "square", square: "square",
+  qu: "quai", quai: "quai",
+  crs: "cours", cours: "cours",
+  esp: "esplanade", esplanade: "esplanade",
+  res: "residence", residence: "residence",
+  za: "zone", zi: "zone", zac: "zone", zone: "zone",
+  // ES
+  c: "calle", cl: "calle", cll: "calle", calle: "calle",
+  avda: "avenue", avd: "avenue", avenida: "avenue",
+  pza: "place", plza: "place", plaza: "place",
+  pso: "paseo", paseo: "paseo",
+  ctra: "carretera", crta: "carretera", carretera: "carretera",
+  cmno: "camino", camino: "camino",
+  ronda: "ronda", rda: "ronda",
+  urb: "urbanizacion", urbanizacion: "urbanizacion",
+  pol: "poligono", poligono: "poligono",
+  // EN
+  street: "street",
+  rd: "road", road: "road",
+  ln: "lane", lane: "lane",
+  dr: "drive", drive: "drive",
+  ct: "court", court: "court",
+  sqr: "square"
+};
+
+const ADDRESS_STOPWORDS = new Set([
+  "de", "du", "des", "la", "le", "les", "l", "d", "a", "au", "aux", "et",
+  "del", "el", "los", "las", "y", "en",
+  "the", "of", "and"
+]);
+
+const MATCH_DEFAULTS = {
+  fuzzy: true,
+  threshold: Number(process.env.MATCH_THRESHOLD) || 0.88,
+  streetWeight: 0.7,
+  cityWeight: 0.3
+};
+
+function foldText(s) {
+  return (s ?? "")
+    .toString()
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[’']/g, " ")
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
+
+// "st"/"ste" = saint(e) devant un nom, "street" en fin de voie ("Main St")
+function expandSaint(tokens, isStreet) {
+  return tokens.map((t, i) => {
+    if (t === "st" || t === "ste") {
+      if (isStreet && i === tokens.length - 1) return "street";
+      return t === "st" ? "saint" : "sainte";
+    }
+    return t;
+  });
+}
+
+function canonicalCity(city) {
+  const tokens = expandSaint(foldText(city).split(" ").filter(Boolean), false);
+  return tokens.filter(t => !ADDRESS_STOPWORDS.has(t) && !/^cedex\d*$/.test(t) && !/^\d+$/.test(t)).join(" ");
+}
+
+function parseStreet(address1) {
+  let tokens = expandSaint(foldText(address1).split(" ").filter(Boolean), true);
+
+  // numéro : premier nombre (avec bis/ter/lettre éventuels)
+  let number = null;
+  const idx = tokens.findIndex(t => /^\d+[a-z]?$/.test(t));
+  if (idx >= 0) {
+    number = tokens[idx];
+    const next = tokens[idx + 1];
+    if (next && /^(bis|ter|quater|[a-d])$/.test(next)) {
+      number += next;
+      tokens.splice(idx + 1, 1);
+    }
+    tokens.splice(idx, 1);
+  }
+  if (tokens[0] === "n" || tokens[0] === "no") tokens = tokens.slice(1);
+
+  const street = tokens
+    .map(t => STREET_TYPES[t] || t)
+    .filter(t => !ADDRESS_STOPWORDS.has(t))
+    .join(" ");
+
+  return { number, street };
+}
+
+function canonicalPostal(postal) {
+  return String(postal ?? "").replace(/\s+/g, "").toUpperCase();
+}
+
+function canonicalAddress(a) {
+  const { number, street } = parseStreet(a?.Address1);
+  return {
+    number,
+    street,
+    city: canonicalCity(a?.City),
+    postal: canonicalPostal(a?.Postal),
+    country: String(a?.Country || "FR").trim().toUpperCase()
+  };
+}
+
+// clé canonique : égalité stricte après normalisation (utilisée même sans fuzzy)
+function canonicalKey(c) {
+  return `${c.number || ""}|${c.street}|${c.postal}|${c.city}|${c.country}`;
+}
+
+function levenshtein(a, b) {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    for (let j = 1; j <= b.length; j++) {
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+function similarity(a, b) {
+  if (!a && !b) return 1;
+  if (!a || !b) return 0;
+  const ratio = 1 - levenshtein(a, b) / Math.max(a.length, b.length);
+
+  // "paix" vs "rue paix" : tous les mots de l'une sont dans l'autre
+  const ta = new Set(a.split(" "));
+  const tb = new Set(b.split(" "));
+  const [small, big] = ta.size <= tb.size ? [ta, tb] : [tb, ta];
+  const contained = [...small].every(t => big.has(t)) ? 0.9 : 0;
+
+  return Math.max(ratio, contained);
+}
+
+// score 0..1 entre deux adresses canoniques (0 si CP/pays/numéro incompatibles)
+function addressScore(ca, cb, opts = MATCH_DEFAULTS) {
+  if (ca.country !== cb.country || ca.postal !== cb.postal) return 0;
+  if (ca.number && cb.number && ca.number !== cb.number) return 0;
+
+  let street = similarity(ca.street, cb.street);
+  if (!ca.number !== !cb.number) street *= 0.9;
+
+  const city = similarity(ca.city, cb.city);
+  return opts.streetWeight * street + opts.cityWeight * city;
+}
+
+// options de matching (body.matching) fusionnées avec les valeurs par défaut
+function resolveMatchingOptions(input) {
+  const o = { ...MATCH_DEFAULTS };
+  if (typeof input === "string") {
+    try {
+      input = JSON.parse(input);
+    } catch {
+      throw new ValidationError("matching invalide (JSON)", { code: "invalid_matching" });
+    }
+  }
+  if (!input || typeof input !== "object") return o;
+
+  if (input.fuzzy !== undefined) o.fuzzy = input.fuzzy !== false && input.fuzzy !== "false";
+  const t = Number(input.threshold);
+  if (Number.isFinite(t) && t > 0 && t <= 1) o.threshold = t;
+  return o;
+}
+
+/**
+ * Index d'adresses : find(addr) => { address, score } | null
+ * Les candidats sont regroupés par pays + CP (le score exige l'égalité du CP).
+ */
+function addressMatcher(addresses = [], options) {
+  const opts = resolveMatchingOptions(options);
+  const byKey = new Map();
+  const buckets = new Map();
+
+  function add(a) {
+    const c = canonicalAddress(a);
+    const key = canonicalKey(c);
+    if (!byKey.has(key)) byKey.set(key, a);
+
+    const b = `${c.country}|${c.postal}`;
+    if (!buckets.has(b)) buckets.set(b, []);
+    buckets.get(b).push({ address: a, c });
+  }
+
+  function find(a) {
+    const c = canonicalAddress(a);
+    const exact = byKey.get(canonicalKey(c));
+    if (exact) return { address: exact, score: 1 };
+    if (!opts.fuzzy) return null;
+
+    let best = null;
+    for (const cand of buckets.get(`${c.country}|${c.postal}`) || []) {
+      const score = addressScore(c, cand.c, opts);
+      if (score >= opts.threshold && (!best || score > best.score)) best = { address: cand.address, score };
+    }
+    return best && { ...best, score: Math.round(best.score * 100) / 100 };
+  }
+
+  addresses.filter(Boolean).forEach(add);
+  return { add, find, options: opts };
+}
+
+/**
+ * Regroupe les adresses probablement en double (union-find par paires, même CP)
+ * => [{ addresses: [...], score }] (score = plus faible lien du groupe)
+ */
+function findDuplicateClusters(addresses, options) {
+  const opts = resolveMatchingOptions(options);
+  const list = addresses.filter(Boolean).map(a => ({ address: a, c: canonicalAddress(a) }));
+  const parent = list.map((_, i) => i);
+  const minScore = list.map(() => 1);
+
+  const root = i => (parent[i] === i ? i : (parent[i] = root(parent[i])));
+
+  const buckets = new Map();
+  list.forEach((item, i) => {
+    const b = `${item.c.country}|${item.c.postal}`;
+    if (!buckets.has(b)) buckets.set(b, []);
+    buckets.get(b).push(i);
+  });
+
+  for (const idxs of buckets.values()) {
+    for (let x = 0; x < idxs.length; x++) {
+      for (let y = x + 1; y < idxs.length; y++) {
+        const i = idxs[x];
+        const j = idxs[y];
+        const exact = canonicalKey(list[i].c) === canonicalKey(list[j].c);
+        const score = exact ? 1 : opts.fuzzy ? addressScore(list[i].c, list[j].c, opts) : 0;
+        if (score < opts.threshold) continue;
+
+        const ri = root(i);
+        const rj = root(j);
+        const m = Math.min(minScore[ri], minScore[rj], score);
+        if (ri !== rj) parent[rj] = ri;
+        minScore[ri] = m;
+      }
+    }
+  }
+
+  const groups = new Map();
+  list.forEach((item, i) => {
+    const r = root(i);
+    if (!groups.has(r)) groups.set(r, []);
+    groups.get(r).push(item.address);
+  });
+
+  return [...groups.entries()]
+    .filter(([, g]) => g.length > 1)
+    .map(([r, g]) => ({ score: Math.round(minScore[r] * 100) / 100, addresses: g }));
+}
+
+function pick(obj, keys) {
+  if (!obj) return "";
+  const lower = Object.fromEntries(
+    Object.entries(obj).map(([k, v]) => [String(k).toLowerCase().trim(), v])
+  );
+  for (const k of keys) {
+    const v = lower[String(k).toLowerCase().trim()];
+    if (v !== undefined && v !== null && String(v).trim() !== "") return v;
+  }
+  return "";
+}
+
+// alias d'en-têtes acceptés par champ (comparaison insensible à la casse)
+const ADDRESS_FIELD_ALIASES = {
+  AddressId: ["addressid", "AddressId", "id", "Id"],
+  Business: ["business", "société", "societe", "company", "empresa"],
+  FirstName: ["firstname", "prénom", "prenom", "nombre", "first name"],
+  LastName: ["lastname", "nom", "apellido", "last name"],
+  Title: ["title", "titre", "cargo"],
+  Address1: ["address1", "adresse", "direccion", "dirección", "address", "address line 1"],
+  Address2: ["address2", "adresse 2", "dirección 2", "direccion 2", "address line 2"],
+  Address3: ["address3", "adresse 3", "dirección 3", "direccion 3", "address line 3"],
+  City: ["city", "ville", "ciudad"],
+  StateProvince: ["stateprovince", "state", "province", "région", "region", "provincia", "state / province"],
+  Postal: ["postal", "cp", "codepostal", "codigopostal", "zip", "code postal", "código postal", "codigo postal", "postal code"],
+  Country: ["country", "pays", "país", "pais"],
+  Phone: ["phone", "téléphone", "telephone", "telefono", "teléfono"],
+  Email: ["email", "mail"],
+  Qty: ["qty", "quantité", "quantite", "quantity", "cantidad"]
+};
+
+// mapping explicite { Champ: "Colonne du fichier" } prioritaire sur les alias
+function columnKeys(field, mapping) {
+  return mapping?.[field] ? [mapping[field]] : ADDRESS_FIELD_ALIASES[field];
+}
+
+function mapImportedAddress(r, mapping, defaultCountry = "FR") {
+  const get = field => String(pick(r, columnKeys(field, mapping)) || "").trim();
+
+  const addr = {
+    AddressId: get("AddressId") || undefined,
+    Business: get("Business"),
+    FirstName: get("FirstName"),
+    LastName: get("LastName"),
+    Title: get("Title"),
+    Address1: get("Address1"),
+    Address2: get("Address2"),
+    Address3: get("Address3"),
+    City: get("City"),
+    StateProvince: get("StateProvince") || "NA",
+    Postal: get("Postal"),
+    Country: get("Country") || defaultCountry,
+    Phone: get("Phone"),
+    Email: get("Email")
+  };
+
+  return addr;
+}
+
+// colonne du fichier qui alimente un champ (pour annoter le rapport d'erreurs)
+function sourceColumn(r, field, mapping) {
+  const aliases = (columnKeys(field, mapping) || []).map(a => a.toLowerCase().trim());
+  return Object.keys(r || {}).find(k => aliases.includes(String(k).toLowerCase().trim())) || null;
+}
+
+// indices supplémentaires pour la suggestion automatique (en-têtes "pliés" : sans accents ni ponctuation)
+const ADDRESS_FIELD_HINTS = {
+  Business: ["societe", "entreprise", "empresa", "raisonsociale", "company"],
+  FirstName: ["prenom", "firstname", "nombre"],
+  LastName: ["nomdefamille", "lastname", "apellido", "surname"],
+  Address1: ["rue", "voie", "adresse", "address", "direccion", "calle", "street"],
+  Address2: ["adresse2", "direccion2", "complement", "batiment", "lieudit"],
+  City: ["ville", "commune", "localite", "city", "ciudad", "poblacion", "town"],
+  StateProvince: ["departement", "provincia", "region", "state"],
+  Postal: ["codepostal", "postal", "postcode", "zip"],
+  Country: ["pays", "country", "pais"],
+  Phone: ["tel", "phone", "telefono", "mobile", "portable"],
+  Email: ["email", "mail", "courriel", "correo"],
+  Qty: ["quantite", "quantity", "cantidad", "exemplaires", "ejemplares"]
+};
+
+function foldHeader(h) {
+  return foldText(h).replace(/ /g, "");
+}
+
+function suggestColumnMapping(headers) {
+  const mapping = {};
+  const used = new Set();
+  const fields = Object.keys(ADDRESS_FIELD_ALIASES);
+
+  // 1) correspondance exacte avec les alias
+  for (const field of fields) {
+    const aliases = ADDRESS_FIELD_ALIASES[field].map(foldHeader);
+    const h = headers.find(h => !used.has(h) && aliases.includes(foldHeader(h)));
+    if (h) {
+      mapping[field] = h;
+      used.add(h);
+    }
+  }
+
+  // 2) en-tête qui contient un indice ("N° et voie" => Address1)
+  for (const field of fields) {
+    if (mapping[field]) continue;
+    const hints = ADDRESS_FIELD_HINTS[field] || [];
+    const h = headers.find(h => {
+      if (used.has(h)) return false;
+      const f = foldHeader(h);
+      // "Adresse 2" ne doit pas partir dans Address1
+      if (field === "Address1" && /[2-9]$/.test(f)) return false;
+      return hints.some(k => f.includes(k));
+    });
+    if (h) {
+      mapping[field] = h;
+      used.add(h);
+    }
+  }
+
+  return mapping;
+}
+
+/**
+ * Contrôles de format par pays (codes postaux)
+ */
+const POSTAL_PATTERNS = {
+  FR: /^\d{5}$/,
+  ES: /^\d{5}$/,
+  DE: /^\d{5}$/,
+  IT: /^\d{5}$/,
+  BE: /^\d{4}$/,
+  CH: /^\d{4}$/,
+  LU: /^\d{4}$/,
+  PT: /^\d{4}-\d{3}$/,
+  NL: /^\d{4} ?[A-Z]{2}$/,
+  GB: /^[A-Z]{1,2}\d[A-Z\d]? ?\d[A-Z]{2}$/,
+  UK: /^[A-Z]{1,2}\d[A-Z\d]? ?\d[A-Z]{2}$/,
+  US: /^\d{5}(-\d{4})?$/
+};
+
+const FIVE_DIGIT_POSTAL = new Set(["FR", "ES", "DE", "IT"]);
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function fixImportedAddress(addr, { numericPostal = false, warnings = [] } = {}) {
+  addr.Country = addr.Country.toUpperCase();
+  addr.Postal = addr.Postal.toUpperCase();
+
+  // Excel supprime le 0 initial des CP numériques (06000 -> 6000), y compris dans les CSV qu'il exporte.
+  // Cellule numérique : perte certaine, complété sans rien dire ; texte (CSV, JSON) : complété et signalé.
+  if (/^\d{4}$/.test(addr.Postal) && FIVE_DIGIT_POSTAL.has(addr.Country)) {
+    const fixed = `0${addr.Postal}`;
+    if (!numericPostal) warnings.push({ field: "Postal", code: "zero_padded", value: addr.Postal, fixed });
+    addr.Postal = fixed;
+  }
+  return addr;
+}
+
+function validateImportedAddress(addr) {
+  const issues = [];
+
+  for (const field of ["Address1", "City", "Postal", "Country"]) {
+    if (!addr[field]) issues.push({ field, code: "missing" });
+  }
+
+  if (addr.Country && !/^[A-Z]{2}$/.test(addr.Country)) {
+    issues.push({ field: "Country", code: "invalid_format", value: addr.Country, expected: "expected_country" });
+  }
+
+  const postalPattern = POSTAL_PATTERNS[addr.Country];
+  if (addr.Postal && postalPattern && !postalPattern.test(addr.Postal)) {
+    issues.push({ field: "Postal", code: "invalid_format", value: addr.Postal, expected: "expected_postal", params: { country: addr.Country } });
+  }
+
+  if (addr.Email && !EMAIL_PATTERN.test(addr.Email)) {
+    issues.push({ field: "Email", code: "invalid_format", value: addr.Email });
+  }
+
+  return issues;
+}
+
+// `expected` est un code du catalogue (+ params) : traduit seulement à la sortie
+function localizeIssue(lang, { params, ...issue }) {
+  return issue.expected ? { ...issue, expected: t(lang, issue.expected, params) ?? issue.expected } : issue;
+}
+
+function localizeRejected(lang, p) {
+  return p.issues ? { ...p, issues: p.issues.map(i => localizeIssue(lang, i)) } : p;
+}
+
+// valeur lue comme nombre (cellule XLSX numérique, nombre JSON) : seul cas où un 0 initial a pu disparaître
+function isNumericValue(r, field, mapping) {
+  if (typeof pick(r, columnKeys(field, mapping)) === "number") return true;
+  const col = sourceColumn(r, field, mapping);
+  return !!col && !!r?.[NUMERIC_CELLS]?.has(col);
+}
+
+// => { addr, issues (bloquants), warnings (corrections appliquées à vérifier) }
+function checkImportedAddress(r, mapping, defaultCountry) {
+  const warnings = [];
+  const addr = fixImportedAddress(mapImportedAddress(r, mapping, defaultCountry), {
+    numericPostal: isNumericValue(r, "Postal", mapping),
+    warnings
+  });
+  return { addr, issues: validateImportedAddress(addr), warnings };
+}
+
+function normalizeImportedAddress(r, mapping, defaultCountry) {
+  const { addr, issues } = checkImportedAddress(r, mapping, defaultCountry);
+
+  // champs minimaux + formats
+  if (issues.length) return null;
+
+  // par défaut
+  if (!addr.Business) addr.Business = "Distribution";
+
+  return addr;
+}
+
+/**
+ * -------------------- Parsers CSV/XLSX --------------------
+ */
+// Les parsers renvoient les lignes brutes + leur numéro de ligne dans le fichier,
+// la normalisation est faite ensuite (pour pouvoir expliquer les lignes rejetées).
+function isBlankRow(raw) {
+  return Object.values(raw || {}).every(v => String(v ?? "").trim() === "");
+}
+
+/**
+ * CSV : détection d'encodage (BOM, UTF-8 strict, sinon Windows-1252) et du séparateur.
+ * Les exports Excel FR/ES sont souvent en Windows-1252 avec des ";".
+ */
+const CSV_ENCODINGS = {
+  "utf-8": "utf-8",
+  "utf8": "utf-8",
+  "utf-16le": "utf-16le",
+  "utf-16": "utf-16le",
+  "utf-16be": "utf-16be",
+  "windows-1252": "windows-1252",
+  "cp1252": "windows-1252",
+  "iso-8859-1": "latin1",
+  "latin1": "latin1"
+};
+
+const CSV_DELIMITERS = {
+  ",": ",",
+  "comma": ",",
+  ";": ";",
+  "semicolon": ";",
+  "\t": "\t",
+  "\\t": "\t",
+  "tab": "\t",
+  "|": "|",
+  "pipe": "|"
+};
+
+function detectCsvEncoding(buf) {
+  if (buf[0] === 0xEF && buf[1] === 0xBB && buf[2] === 0xBF) return { encoding: "utf-8", bom: true };
+  if (buf[0] === 0xFF && buf[1] === 0xFE) return { encoding: "utf-16le", bom: true };
+  if (buf[0] === 0xFE && buf[1] === 0xFF) return { encoding: "utf-16be", bom: true };
+
+  // UTF-16 sans BOM : beaucoup d'octets nuls sur une parité
+  const sample = buf.subarray(0, 4096);
+  let evenZero = 0;
+  let oddZero = 0;
+  for (let i = 0; i < sample.length; i++) {
+    if (sample[i] === 0) i % 2 ? oddZero++ : evenZero++;
+  }
+  if (oddZero > sample.length / 4) return { encoding: "utf-16le", bom: false };
+  if (evenZero > sample.length / 4) return { encoding: "utf-16be", bom: false };
+
+  try {
+    new TextDecoder("utf-8", { fatal: true }).decode(buf);
+    return { encoding: "utf-8", bom: false };
+  } catch {
+    return { encoding: "windows-1252", bom: false };
+  }
+}
+
+function decodeCsvBuffer(buf, encoding) {
+  if (encoding === "latin1") return buf.toString("latin1").replace(/^\uFEFF/, "");
+  // TextDecoder retire le BOM
+  return new TextDecoder(encoding).decode(buf).replace(/^\uFEFF/, "");
+}
+
+// séparateur le plus fréquent (hors guillemets) sur la première ligne non vide
+function detectCsvDelimiter(text) {
+  const first = text.split(/\r?\n/).find(l => l.trim()) || "";
+  const unquoted = first.replace(/"[^"]*"/g, "");
+  let best = { delimiter: ",", count: 0 };
+  for (const d of [";", ",", "\t", "|"]) {
+    const count = unquoted.split(d).length - 1;
+    if (count > best.count) best = { delimiter: d, count };
+  }
+  return best.delimiter;
+}
+
+async function parseCsvBuffer(buf, options = {}) {
+  let encoding = null;
+  let bom = false;
+
+  if (options.encoding) {
+    encoding = CSV_ENCODINGS[String(options.encoding).trim().toLowerCase()];
+    if (!encoding) throw new ValidationError("encoding non supporté: " + options.encoding, {
+      code: "unsupported_encoding",
+      params: { value: options.encoding }
+    });
+    bom = detectCsvEncoding(buf).bom;
+  } else {
+    ({ encoding, bom } = detectCsvEncoding(buf));
+  }
+
+  const text = decodeCsvBuffer(buf, encoding);
+
+  let delimiter = null;
+  if (options.delimiter) {
+    const d = String(options.delimiter);
+    delimiter = CSV_DELIMITERS[d] || CSV_DELIMITERS[d.trim().toLowerCase()];
+    if (!delimiter) throw new ValidationError("delimiter non supporté: " + options.delimiter, {
+      code: "unsupported_delimiter",
+      params: { value: options.delimiter }
+    });
+  } else {
+    delimiter = detectCsvDelimiter(text);
+  }
+
+  const parsed = Papa.parse(text, { header: true, skipEmptyLines: false, delimiter });
+  const records = (parsed.data || [])
+    .map((raw, i) => ({ rowNumber: i + 2, raw }))
+    .filter(r => !isBlankRow(r.raw));
+
+  return {
+    records,
+    meta: {
+      format: "csv",
+      encoding: encoding === "latin1" ? "iso-8859-1" : encoding,
+      bom,
+      delimiter: delimiter === "\t" ? "tab" : delimiter
+    }
+  };
+}
+
+// colonnes d'une ligne XLSX dont la cellule est un nombre (clé symbole : absente du JSON renvoyé)
+const NUMERIC_CELLS = Symbol("numericCells");
+
+function isNumericCell(v) {
+  return typeof v === "number" || typeof v?.result === "number";
+}
+
+/**
+ * Valeur de cellule ExcelJS -> texte simple
+ * (rich text, formules, liens hypertexte, dates, erreurs)
+ */
+function cellText(v) {
+  if (v === null || v === undefined) return "";
+  if (v instanceof Date) {
+    const iso = v.toISOString();
+    return iso.endsWith("T00:00:00.000Z") ? iso.slice(0, 10) : iso;
+  }
+  if (typeof v !== "object") return String(v).trim();
+
+  if (Array.isArray(v.richText)) return v.richText.map(t => t?.text ?? "").join("").trim();
+  if ("formula" in v || "sharedFormula" in v) return cellText(v.result);
+  if ("hyperlink" in v) return cellText(v.text ?? v.hyperlink);
+  if ("text" in v) return cellText(v.text);
+  if ("error" in v) return "";
+
+  return "";
+}
+
+function rowTexts(ws, rowNumber) {
+  const row = ws.getRow(rowNumber);
+  const out = [];
+  for (let c = 1; c <= ws.columnCount; c++) out.push(cellText(row.getCell(c).value));
+  return out;
+}
+
+const HEADER_SCAN_ROWS = 20;
+
+// nb de colonnes reconnues comme champs d'adresse (ou colonnes du mapping)
+function headerScore(cells, mapping) {
+  const headers = cells.filter(Boolean);
+  const mappedCols = new Set(Object.values(mapping || {}).map(c => c.toLowerCase().trim()));
+  const explicit = headers.filter(h => mappedCols.has(h.toLowerCase().trim())).length;
+  return Object.keys(suggestColumnMapping(headers)).length + explicit;
+}
+
+// ligne d'en-tête = la mieux notée parmi les premières lignes (titres au-dessus du tableau)
+function detectHeaderRow(ws, mapping) {
+  let best = null;
+  const last = Math.min(ws.rowCount, HEADER_SCAN_ROWS);
+
+  for (let r = 1; r <= last; r++) {
+    const cells = rowTexts(ws, r);
+    if (!cells.some(Boolean)) continue;
+    const score = headerScore(cells, mapping);
+    if (!best || score > best.score) best = { rowNumber: r, score };
+  }
+  return best;
+}
+
+function selectWorksheet(wb, sheet) {
+  if (sheet !== undefined && sheet !== null && String(sheet).trim() !== "") {
+    const key = String(sheet).trim();
+    // numéro = position (1 = première feuille), sinon nom
+    const ws = /^\d+$/.test(key)
+      ? wb.worksheets[Number(key) - 1]
+      : wb.worksheets.find(w => w.name.toLowerCase() === key.toLowerCase());
+    if (!ws) throw new ValidationError("Feuille introuvable: " + key, { code: "sheet_not_found", params: { sheet: key } });
+    return ws;
+  }
+  return null;
+}
+
+/**
+ * options: { sheet, headerRow, mapping }
+ * sans "sheet" : la feuille visible dont l'en-tête est le mieux reconnu
+ */
+async function parseXlsxBuffer(buf, options = {}) {
+  const wb = new ExcelJS.Workbook();
+  await wb.xlsx.load(buf);
+
+  const sheets = wb.worksheets.map(w => w.name);
+  const forcedRow = parseInt(options.headerRow, 10) || null;
+
+  let ws = selectWorksheet(wb, options.sheet);
+  let header = null;
+
+  if (ws) {
+    header = forcedRow ? { rowNumber: forcedRow } : detectHeaderRow(ws, options.mapping);
+  } else {
+    for (const w of wb.worksheets.filter(w => w.state === "visible" || !w.state)) {
+      const h = forcedRow ? { rowNumber: forcedRow, score: 0 } : detectHeaderRow(w, options.mapping);
+      if (h && (!header || h.score > header.score)) {
+        ws = w;
+        header = h;
+      }
+    }
+  }
+
+  if (!ws || !header) return { records: [], meta: { format: "xlsx", sheets, sheet: ws?.name || null, headerRow: null } };
+
+  // en-têtes vides ignorés, doublons suffixés
+  const headers = rowTexts(ws, header.rowNumber).map((h, idx, all) => {
+    if (!h) return "";
+    const n = all.slice(0, idx).filter(x => x === h).length;
+    return n ? `${h} (${n + 1})` : h;
+  });
+
+  const records = [];
+  ws.eachRow((row, rowNumber) => {
+    if (rowNumber <= header.rowNumber) return;
+    const obj = {};
+    const numeric = new Set();
+    headers.forEach((h, idx) => {
+      if (!h) return;
+      const v = row.getCell(idx + 1).value;
+      obj[h] = cellText(v);
+      if (isNumericCell(v)) numeric.add(h);
+    });
+    obj[NUMERIC_CELLS] = numeric;
+    if (!isBlankRow(obj)) records.push({ rowNumber, raw: obj });
+  });
+
+  return { records, meta: { format: "xlsx", sheets, sheet: ws.name, headerRow: header.rowNumber } };
+}
+
+// en-têtes du fichier, dans l'ordre d'apparition
+function fileHeaders(records) {
+  const headers = [];
+  for (const { raw } of records) {
+    for (const k of Object.keys(raw)) if (k && !headers.includes(k)) headers.push(k);
+  }
+  return headers;
+}
+
+// options de lecture transmises par les routes (multipart)
+function fileParseOptions(body, mapping) {
+  return {
+    sheet: body?.sheet,
+    headerRow: body?.headerRow,
+    encoding: body?.encoding,
+    delimiter: body?.delimiter,
+    mapping
+  };
+}
+
+// => { records: [{ rowNumber, raw }], meta } ou null si format non supporté
+async function parseImportFile(file, options = {}) {
+  const name = (file.originalname || "file").toLowerCase();
+  const ext = name.split(".").pop();
+
+  if (ext === "csv") return parseCsvBuffer(file.buffer, options);
+  if (ext === "xlsx" || ext === "xls") return parseXlsxBuffer(file.buffer, options);
+  return null;
+}
+
+/**
+ * -------------------- Pressero helpers --------------------
+ */
+async function getUserId(client, siteDomain, email) {
+  const r = await client.get(`/api/site/${siteDomain}/users/`, {
+    params: { pageNumber: 0, pageSize: 1, email, includeDeleted: false }
+  });
+  const userId = r?.data?.Items?.[0]?.UserId;
+  if (!userId) throw new NotFoundError("UserId introuvable pour cet email", { code: "user_not_found" });
+  return userId;
+}
+
+async function getCart(client, siteDomain, userId) {
+  const r = await client.get(`/api/cart/${siteDomain}/`, { params: { userId } });
+  const cart = r?.data;
+  if (!cart?.Id) throw new NotFoundError("CartId introuvable", { code: "cart_not_found" });
+  return cart;
+}
+
+async function removeCartItem(client, siteDomain, cartId, userId, itemId) {
+  await client.delete(`/api/cart/${siteDomain}/${cartId}/item/${itemId}`, { params: { userId } });
+}
+
+async function getAddressBook(client, siteDomain, userId) {
+  const r = await client.get(`/api/site/${siteDomain}/Addressbook/${userId}`);
+  return r.data;
+}
+
+// préférée + autres, dédoublonnées par AddressId
+function uniqueAddresses(ab) {
+  const map = new Map();
+  for (const a of [ab?.PreferredAddress, ...(ab?.Addresses || [])].filter(Boolean)) {
+    if (a?.AddressId && !map.has(a.AddressId)) map.set(a.AddressId, a);
+  }
+  return [...map.values()];
+}
+
+async function deleteAddress(client, siteDomain, userId, addressId) {
+  await client.delete(
+    `/api/site/${siteDomain}/Addressbook/${userId}/`,
+    { params: { addressId } }
+  );
+}
+
+async function setPreferredAddress(client, siteDomain, userId, addressId) {
+  await client.put(
+    `/api/site/${siteDomain}/Addressbook/${userId}/preferred`,
+    {},
+    { params: { addressId } }
+  );
+}
+
+// Resolve ProductId from UrlName
+async function resolveProductId(client, siteDomain, urlName) {
+  const r = await client.post(
+    `/api/site/${siteDomain}/products`,
+    [{ Column: "UrlName", Value: urlName, Operator: "isequalto" }],
+    { params: { pageNumber: 0, pageSize: 1, includeDeleted: false }, retryable: true }
+  );
+
+  const item = r?.data?.Items?.[0];
+  const productId = item?.ProductId;
+  if (!productId) throw new NotFoundError("ProductId introuvable pour UrlName=" + urlName, { code: "product_not_found", params: { urlName } });
+  return productId;
+}
+
+/**
+ * Prix calculé par Pressero pour un vecteur de quantités + options (aucun effet de bord => rejouable)
+ * => { price, unitPrice, currency }
+ */
+async function getProductPrice(client, siteDomain, productId, userId, pricingParameters) {
+  const r = await client.post(
+    `/api/site/${siteDomain}/products/${productId}/price`,
+    pricingParameters,
+    { params: { userId }, retryable: true }
+  );
+
+  const d = r?.data || {};
+  const raw = d.Price ?? d.TotalPrice ?? d.Total;
+  const price = Number(raw);
+  if (raw == null || !Number.isFinite(price))
+    throw new UpstreamError("Prix introuvable dans la réponse Pressero", { code: "upstream_invalid_response" });
+
+  const unitPrice = d.UnitPrice == null ? null : Number(d.UnitPrice);
+  return { price, unitPrice: Number.isFinite(unitPrice) ? unitPrice : null, currency: d.Currency || d.CurrencyCode || null };
+}
+
+/**
+ * Méthodes de livraison du site pour l'utilisateur
+ * => [{ id, name, countries }] (countries vide = tous pays)
+ */
+async function getShippingMethods(client, siteDomain, userId) {
+  const r = await client.get(`/api/site/${siteDomain}/shippingmethods`, { params: { userId } });
+  const list = Array.isArray(r?.data) ? r.data : r?.data?.Items || [];
+
+  return list
+    .map(m => ({
+      id: m.Id || m.ShippingMethodId,
+      name: m.Name || m.DisplayName || "",
+      countries: (m.Countries || m.AllowedCountries || [])
+        .map(c => String(c?.Code ?? c).trim().toUpperCase())
+        .filter(Boolean)
+    }))
+    .filter(m => m.id);
+}
+
+function findShippingMethod(methods, id) {
+  const key = String(id || "").trim().toLowerCase();
+  return methods.find(m => String(m.id).toLowerCase() === key) || null;
+}
+
+function shippingAllowed(method, country) {
+  return !method.countries.length || method.countries.includes(String(country || "").toUpperCase());
+}
+
+function buildAddressPayload(addr, template) {
+  return {
+    Business: addr.Business || template?.Business || "Distribution",
+    FirstName: addr.FirstName || template?.FirstName || "Client",
+    LastName: addr.LastName || template?.LastName || "Distribution",
+    Title: addr.Title || template?.Title || undefined,
+    Address1: addr.Address1,
+    Address2: addr.Address2 || undefined,
+    Address3: addr.Address3 || undefined,
+    City: addr.City,
+    StateProvince: addr.StateProvince || template?.StateProvince || "NA",
+    Postal: addr.Postal,
+    Country: (addr.Country || template?.Country || "FR").toUpperCase(),
+    Phone: addr.Phone || template?.Phone || undefined,
+    Email: addr.Email || template?.Email || undefined
+  };
+}
+
+function upstreamError(e) {
+  return {
+    message: e?.response?.data?.Message || e?.message || "unknown_error",
+    status: e?.response?.status || null,
+    code: toAppError(e).code
+  };
+}
+
+/**
+ * Création en lot + résolution des AddressId
+ * L'API ne renvoie pas l'AddressId créé : on poste tout, on relit l'addressbook UNE fois
+ * et on retrouve chaque création parmi les AddressId absents du snapshot "before" :
+ * 1) clé canonique exacte, 2) matching approximatif, 3) dernier candidat restant.
+ * => [{ state: "created" | "created_unresolved" | "failed", addressId, resolvedBy, message, status }]
+ */
+const CREATE_RESOLVE_THRESHOLD = 0.75;
+
+async function createAddresses(client, siteDomain, userId, addrs, { before = [], template, concurrency, ctx = inlineJobContext() } = {}) {
+  const knownIds = new Set(before.map(a => a?.AddressId).filter(Boolean));
+  const results = addrs.map(() => null);
+
+  const posts = await runBatch(addrs, async (addr, i) => {
+    const payload = buildAddressPayload(addr, template);
+    try {
+      await client.post(`/api/site/${siteDomain}/Addressbook/${userId}/`, payload);
+      return { i, payload };
+    } catch (e) {
+      results[i] = { state: "failed", addressId: null, ...upstreamError(e) };
+      return null;
+    }
+  }, {
+    concurrency,
+    shouldStop: ctx.cancelled,
+    onItem: r => ctx.increment(r ? "created" : "errors")
+  });
+  let posted = posts.filter(Boolean);
+
+  // annulé avant envoi
+  addrs.forEach((_, i) => {
+    if (posts[i] === undefined) results[i] = { state: "cancelled", addressId: null };
+  });
+
+  if (!posted.length) return results;
+
+  const ab = await getAddressBook(client, siteDomain, userId);
+  let fresh = uniqueAddresses(ab).filter(a => !knownIds.has(a.AddressId));
+
+  const resolve = (p, a, resolvedBy) => {
+    results[p.i] = { state: "created", addressId: a.AddressId, resolvedBy };
+    fresh = fresh.filter(x => x !== a);
+  };
+
+  // 1) clé canonique exacte
+  for (const p of posted) {
+    const key = canonicalKey(canonicalAddress(p.payload));
+    const a = fresh.find(x => canonicalKey(canonicalAddress(x)) === key);
+    if (a) resolve(p, a, "exact");
+  }
+  posted = posted.filter(p => !results[p.i]);
+
+  // 2) Pressero a pu normaliser les champs : matching approximatif
+  for (const p of posted) {
+    const m = addressMatcher(fresh, { threshold: CREATE_RESOLVE_THRESHOLD }).find(p.payload);
+    if (m) resolve(p, m.address, "fuzzy");
+  }
+  posted = posted.filter(p => !results[p.i]);
+
+  // 3) une seule création non résolue et un seul nouvel id : c'est lui
+  if (posted.length === 1 && fresh.length === 1) resolve(posted[0], fresh[0], "only_candidate");
+  posted = posted.filter(p => !results[p.i]);
+
+  for (const p of posted) {
+    results[p.i] = { state: "created_unresolved", addressId: null };
+  }
+
+  return results;
+}
+
+async function updateAddress(client, siteDomain, userId, addressId, payload) {
+  await client.put(
+    `/api/site/${siteDomain}/Addressbook/${userId}/`,
+    payload,
+    { params: { addressId } }
+  );
+}
+
+/**
+ * -------------------- CSV export helpers --------------------
+ */
+function csvEscape(v) {
+  const s = (v ?? "").toString();
+  if (/[",\n]/.test(s)) return `"${s.replace(/"/g, '""')}"`;
+  return s;
+}
+
+// labels : { champ: "En-tête affiché" } (en-têtes localisés), sinon le nom du champ
+function toCsv(rows, headers, labels = null) {
+  const head = headers.map(h => csvEscape(labels?.[h] ?? h)).join(",");
+  const lines = rows.map(r => headers.map(h => csvEscape(r[h])).join(","));
+  return [head, ...lines].join("\n");
+}
+
+// en-têtes d'export localisés (?lang= / Accept-Language) ; tous reconnus par ADDRESS_FIELD_ALIASES à l'import.
+// AddressId et Email restent techniques pour que la ré-importation retrouve les adresses.
+const EXPORT_HEADERS = {
+  fr: {
+    AddressId: "AddressId", Business: "Société", FirstName: "Prénom", LastName: "Nom", Title: "Titre",
+    Address1: "Adresse", Address2: "Adresse 2", Address3: "Adresse 3", City: "Ville", StateProvince: "Région",
+    Postal: "Code postal", Country: "Pays", Phone: "Téléphone", Email: "Email", IsPreferred: "Préférée", Qty: "Quantité"
+  },
+  es: {
+    AddressId: "AddressId", Business: "Empresa", FirstName: "Nombre", LastName: "Apellido", Title: "Cargo",
+    Address1: "Dirección", Address2: "Dirección 2", Address3: "Dirección 3", City: "Ciudad", StateProvince: "Provincia",
+    Postal: "Código postal", Country: "País", Phone: "Teléfono", Email: "Email", IsPreferred: "Preferida", Qty: "Cantidad"
+  },
+  en: {
+    AddressId: "AddressId", Business: "Company", FirstName: "First name", LastName: "Last name", Title: "Title",
+    Address1: "Address line 1", Address2: "Address line 2", Address3: "Address line 3", City: "City", StateProvince: "State / Province",
+    Postal: "Postal code", Country: "Country", Phone: "Phone", Email: "Email", IsPreferred: "Preferred", Qty: "Quantity"
+  }
+};
+
+// sans langue demandée : noms de champs Pressero, comme avant
+function exportHeaderLabels(req) {
+  const lang = explicitLang(req);
+  return lang ? EXPORT_HEADERS[lang] : null;
+}
+
+// lignes d'export : préférée en premier, IsPreferred d'après l'AddressId (pas de doublon)
+function exportRows(ab) {
+  const preferredId = ab?.PreferredAddress?.AddressId || null;
+
+  return uniqueAddresses(ab).map(a => ({
+    AddressId: a.AddressId || "",
+    Business: a.Business || "",
+    FirstName: a.FirstName || "",
+    LastName: a.LastName || "",
+    Title: a.Title || "",
+    Address1: a.Address1 || "",
+    Address2: a.Address2 || "",
+    Address3: a.Address3 || "",
+    City: a.City || "",
+    StateProvince: a.StateProvince || "",
+    Postal: a.Postal || "",
+    Country: a.Country || "",
+    Phone: a.Phone || "",
+    Email: a.Email || "",
+    IsPreferred: a.AddressId === preferredId ? "true" : "false",
+    Qty: ""
+  }));
+}
+
+/**
+ * Modèle XLSX de distribution (export.xlsx?template=1 et template.xlsx)
+ * - feuille Addressbook : Country en liste déroulante, Qty entier >= 0, AddressId verrouillé
+ * - feuille Instructions, feuille Countries masquée (source de la liste)
+ * parseXlsxBuffer ne lit que les feuilles visibles et retient l'en-tête le mieux reconnu :
+ * le fichier rempli se ré-importe tel quel (import-file, distribution/import-file).
+ */
+const TEMPLATE_EMPTY_ROWS = 500;
+
+const ISO_COUNTRIES = [
+  "AD", "AE", "AF", "AG", "AI", "AL", "AM", "AO", "AQ", "AR", "AS", "AT", "AU", "AW", "AX", "AZ",
+  "BA", "BB", "BD", "BE", "BF", "BG", "BH", "BI", "BJ", "BL", "BM", "BN", "BO", "BQ", "BR", "BS",
+  "BT", "BV", "BW", "BY", "BZ", "CA", "CC", "CD", "CF", "CG", "CH", "CI", "CK", "CL", "CM", "CN",
+  "CO", "CR", "CU", "CV", "CW", "CX", "CY", "CZ", "DE", "DJ", "DK", "DM", "DO", "DZ", "EC", "EE",
+  "EG", "EH", "ER", "ES", "ET", "FI", "FJ", "FK", "FM", "FO", "FR", "GA", "GB", "GD", "GE", "GF",
+  "GG", "GH", "GI", "GL", "GM", "GN", "GP", "GQ", "GR", "GS", "GT", "GU", "GW", "GY", "HK", "HM",
+  "HN", "HR", "HT", "HU", "ID", "IE", "IL", "IM", "IN", "IO", "IQ", "IR", "IS", "IT", "JE", "JM",
+  "JO", "JP", "KE", "KG", "KH", "KI", "KM", "KN", "KP", "KR", "KW", "KY", "KZ", "LA", "LB", "LC",
+  "LI", "LK", "LR", "LS", "LT", "LU", "LV", "LY", "MA", "MC", "MD", "ME", "MF", "MG", "MH", "MK",
+  "ML", "MM", "MN", "MO", "MP", "MQ", "MR", "MS", "MT", "MU", "MV", "MW", "MX", "MY", "MZ", "NA",
+  "NC", "NE", "NF", "NG", "NI", "NL", "NO", "NP", "NR", "NU", "NZ", "OM", "PA", "PE", "PF", "PG",
+  "PH", "PK", "PL", "PM", "PN", "PR", "PS", "PT", "PW", "PY", "QA", "RE", "RO", "RS", "RU", "RW",
+  "SA", "SB", "SC", "SD", "SE", "SG", "SH", "SI", "SJ", "SK", "SL", "SM", "SN", "SO", "SR", "SS",
+  "ST", "SV", "SX", "SY", "SZ", "TC", "TD", "TF", "TG", "TH", "TJ", "TK", "TL", "TM", "TN", "TO",
+  "TR", "TT", "TV", "TW", "TZ", "UA", "UG", "UM", "US", "UY", "UZ", "VA", "VC", "VE", "VG", "VI",
+  "VN", "VU", "WF", "WS", "YE", "YT", "ZA", "ZM", "ZW"
+];
+
+const TEMPLATE_INSTRUCTIONS = {
+  fr: [
+    "Modèle de distribution : une ligne par adresse de livraison (feuille Addressbook).",
+    "Quantité : nombre d'exemplaires pour l'adresse, entier positif. Vide ou 0 = adresse non livrée.",
+    "Pays : code ISO à 2 lettres, à choisir dans la liste déroulante (FR, ES, GB…).",
+    "AddressId : identifiant de l'adresse dans votre carnet, non modifiable. Laissez-le vide pour une nouvelle adresse.",
+    "Ne renommez pas les en-têtes de colonnes : le fichier se ré-importe tel quel.",
+    "Adresse, Ville, Code postal et Pays sont obligatoires pour une nouvelle adresse."
+  ],
+  es: [
+    "Plantilla de distribución: una fila por dirección de entrega (hoja Addressbook).",
+    "Cantidad: número de ejemplares para la dirección, entero positivo. Vacío o 0 = dirección no entregada.",
+    "País: código ISO de 2 letras, a elegir en la lista desplegable (FR, ES, GB…).",
+    "AddressId: identificador de la dirección en su libreta, no modificable. Déjelo vacío para una dirección nueva.",
+    "No cambie los encabezados de las columnas: el archivo se vuelve a importar tal cual.",
+    "Dirección, Ciudad, Código postal y País son obligatorios para una dirección nueva."
+  ],
+  en: [
+    "Distribution template: one row per delivery address (Addressbook sheet).",
+    "Quantity: number of copies for the address, positive whole number. Empty or 0 = address not delivered.",
+    "Country: 2-letter ISO code, pick it from the drop-down list (FR, ES, GB…).",
+    "AddressId: identifier of the address in your address book, read-only. Leave it empty for a new address.",
+    "Do not rename the column headers: the file can be imported back as is.",
+    "Address, City, Postal code and Country are required for a new address."
+  ]
+};
+
+const EXPORT_XLSX_COLUMNS = [
+  { key: "AddressId", width: 36 },
+  { key: "Business", width: 24 },
+  { key: "FirstName", width: 16 },
+  { key: "LastName", width: 16 },
+  { key: "Title", width: 16 },
+  { key: "Address1", width: 34 },
+  { key: "Address2", width: 22 },
+  { key: "Address3", width: 22 },
+  { key: "City", width: 18 },
+  { key: "StateProvince", width: 18 },
+  { key: "Postal", width: 12 },
+  { key: "Country", width: 10 },
+  { key: "Phone", width: 18 },
+  { key: "Email", width: 26 },
+  { key: "IsPreferred", width: 12 },
+  { key: "Qty", width: 10 }
+];
+
+function columnLetter(ws, key) {
+  return ws.getColumn(key).letter;
+}
+
+// template=false : export simple (une feuille, comme avant)
+async function addressWorkbook(rows, { labels = null, template = false, lang = DEFAULT_LANG } = {}) {
+  const wb = new ExcelJS.Workbook();
+  wb.creator = "cart-orchestrator";
+  wb.created = new Date();
+
+  const ws = wb.addWorksheet("Addressbook", {
+    views: [{ state: "frozen", ySplit: 1 }]
+  });
+
+  ws.columns = EXPORT_XLSX_COLUMNS.map(c => ({ ...c, header: labels?.[c.key] ?? c.key }));
+
+  ws.getRow(1).font = { bold: true };
+  ws.getRow(1).alignment = { vertical: "middle" };
+  ws.getRow(1).height = 18;
+
+  if (!template) {
+    ws.addRows(rows);
+    return wb;
+  }
+
+  // styles de colonne posés avant les lignes : les cellules créées ensuite en héritent
+  for (const { key } of EXPORT_XLSX_COLUMNS) {
+    if (key !== "AddressId") ws.getColumn(key).protection = { locked: false };
+  }
+  ws.getColumn("Qty").numFmt = "0";
+  ws.getColumn("AddressId").fill = { type: "pattern", pattern: "solid", fgColor: { argb: "FFEFEFEF" } };
+  ws.getRow(1).eachCell(cell => { cell.protection = { locked: true }; });
+
+  ws.addRows(rows.map(r => ({ ...r, Qty: null })));
+
+  const help = wb.addWorksheet("Instructions");
+  help.getColumn(1).width = 110;
+  TEMPLATE_INSTRUCTIONS[lang].forEach((line, i) => { help.getCell(i + 1, 1).value = line; });
+  help.getRow(1).font = { bold: true };
+
+  const lastRow = rows.length + 1 + TEMPLATE_EMPTY_ROWS;
+  const countries = wb.addWorksheet("Countries", { state: "hidden" });
+  ISO_COUNTRIES.forEach((code, i) => { countries.getCell(i + 1, 1).value = code; });
+
+  const country = columnLetter(ws, "Country");
+  ws.dataValidations.add(`${country}2:${country}${lastRow}`, {
+    type: "list",
+    allowBlank: true,
+    formulae: [`Countries!$A$1:$A$${ISO_COUNTRIES.length}`],
+    showErrorMessage: true,
+    errorTitle: labels?.Country ?? "Country",
+    error: TEMPLATE_INSTRUCTIONS[lang][2]
+  });
+
+  const qty = columnLetter(ws, "Qty");
+  ws.dataValidations.add(`${qty}2:${qty}${lastRow}`, {
+    type: "whole",
+    operator: "greaterThanOrEqual",
+    allowBlank: true,
+    formulae: [0],
+    showErrorMessage: true,
+    errorTitle: labels?.Qty ?? "Qty",
+    error: TEMPLATE_INSTRUCTIONS[lang][1]
+  });
+
+  // sans mot de passe : AddressId protégé des fautes de frappe, pas des utilisateurs avertis
+  await ws.protect("", {
+    selectLockedCells: true,
+    selectUnlockedCells: true,
+    formatColumns: true,
+    formatRows: true,
+    insertRows: true,
+    sort: true,
+    autoFilter: true
+  });
+
+  return wb;
+}
+
+/**
+ * -------------------- Authentification des appelants (storefront) --------------------
+ * Le widget n'envoie plus seulement un userEmail : il présente un jeton court, signé
+ * HMAC-SHA256 avec le secret du site, qui lie userEmail + siteDomain.
+ * Format : base64url(JSON { email, sd, iat, exp }) "." base64url(signature)
+ *
+ * Secret : callerSecret du registre des sites, sinon
+ * CALLER_SECRETS = JSON { "boutique.pressero.com": "secret", "*": "secret par défaut" }
+ * CALLER_AUTH_DISABLED=1 => pas de contrôle (dev uniquement)
+ */
+const CALLER_TOKEN_TTL_MS = Number(process.env.CALLER_TOKEN_TTL_MS) || 30 * 60 * 1000;
+const CALLER_TOKEN_MAX_TTL_MS = 12 * 60 * 60 * 1000;
+const CALLER_AUTH_DISABLED = isTruthy(process.env.CALLER_AUTH_DISABLED);
+
+function loadCallerSecrets() {
+  if (!process.env.CALLER_SECRETS) return {};
+  try {
+    const parsed = JSON.parse(process.env.CALLER_SECRETS);
+    return Object.fromEntries(Object.entries(parsed).map(([sd, secret]) => [sd.trim().toLowerCase(), String(secret)]));
+  } catch {
+    // on échoue fermé : aucun jeton ne sera accepté
+    console.error("CALLER_SECRETS invalide (JSON attendu)");
+    return {};
+  }
+}
+
+const callerSecrets = loadCallerSecrets();
+
+function callerSecret(sd) {
+  return siteConfig(sd).callerSecret || callerSecrets[sd] || callerSecrets["*"] || null;
+}
+
+function callerSignature(secret, payload) {
+  return crypto.createHmac("sha256", secret).update(payload).digest("base64url");
+}
+
+function safeEqual(a, b) {
+  const x = Buffer.from(String(a));
+  const y = Buffer.from(String(b));
+  return x.length === y.length && crypto.timingSafeEqual(x, y);
+}
+
+function signCallerToken(userEmail, sd, ttlMs = CALLER_TOKEN_TTL_MS) {
+  const secret = callerSecret(sd);
+  if (!secret) throw new Error(`Aucun secret appelant configuré pour ${sd}`);
+
+  const iat = Date.now();
+  const exp = iat + Math.min(ttlMs, CALLER_TOKEN_MAX_TTL_MS);
+  const payload = Buffer.from(JSON.stringify({ email: String(userEmail).trim(), sd, iat, exp })).toString("base64url");
+  return { token: `${payload}.${callerSignature(secret, payload)}`, expiresAt: new Date(exp).toISOString() };
+}
+
+function verifyCallerToken(token) {
+  const parts = String(token || "").split(".");
+  if (parts.length !== 2 || !parts[0] || !parts[1]) throw new AuthError("Jeton appelant invalide", { code: "caller_token_invalid" });
+  const [payload, sig] = parts;
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+  } catch {
+    throw new AuthError("Jeton appelant invalide", { code: "caller_token_invalid" });
+  }
+
+  const sd = String(claims?.sd || "").trim().toLowerCase();
+  const secret = callerSecret(sd);
+  if (!secret || !safeEqual(sig, callerSignature(secret, payload))) throw new AuthError("Jeton appelant invalide", { code: "caller_token_invalid" });
+  if (!claims.email) throw new AuthError("Jeton appelant invalide", { code: "caller_token_invalid" });
+  if (!(Number(claims.exp) > Date.now())) throw new AuthError("Jeton appelant expiré", { code: "caller_token_expired" });
+
+  return { userEmail: claims.email, siteDomain: sd, expiresAt: claims.exp };
+}
+
+// Authorization: Bearer <jeton> ; ?token= accepté en GET (liens d'export, EventSource)
+function callerTokenFrom(req) {
+  const h = String(req.get("authorization") || "");
+  if (/^bearer\s+/i.test(h)) return h.replace(/^bearer\s+/i, "").trim();
+  return req.method === "GET" ? String(req.query?.token || "") : "";
+}
+
+// userEmail / siteDomain de la requête = ceux du jeton (remplis si absents, 403 s'ils diffèrent)
+function bindCaller(req, res, next) {
+  if (CALLER_AUTH_DISABLED) return next();
+  const { userEmail, siteDomain } = req.caller;
+
+  for (const src of [req.query, req.body]) {
+    if (!src || typeof src !== "object") continue;
+    if (src.userEmail && norm(src.userEmail) !== norm(userEmail))
+      throw new AuthError("userEmail ne correspond pas au jeton appelant", {
+        status: 403, code: "caller_mismatch", params: { field: "userEmail" }
+      });
+    if (src.siteDomain && String(src.siteDomain).trim().toLowerCase() !== siteDomain)
+      throw new AuthError("siteDomain ne correspond pas au jeton appelant", {
+        status: 403, code: "caller_mismatch", params: { field: "siteDomain" }
+      });
+    src.userEmail = userEmail;
+    src.siteDomain = siteDomain;
+  }
+  return next();
+}
+
+// middleware global : toute route déclarée après exige un jeton valide
+// (multipart : le body n'est lu qu'après multer => bindCaller est rejoué dans uploadFile)
+function authenticateCaller(req, res, next) {
+  if (CALLER_AUTH_DISABLED) return next();
+
+  const token = callerTokenFrom(req);
+  if (!token) throw new AuthError("Jeton appelant requis", { code: "caller_token_required" });
+  req.caller = verifyCallerToken(token);
+
+  if (req.is("multipart/form-data")) return next();
+  return bindCaller(req, res, next);
+}
+
+const uploadFile = [upload.single("file"), bindCaller];
+
+if (CALLER_AUTH_DISABLED) console.warn("CALLER_AUTH_DISABLED : les appelants ne sont pas authentifiés");
+
+/**
+ * -------------------- ROUTES --------------------
+ */
+app.get("/health", (req, res) => res.json({ ok: true }));
+
+/**
+ * Émission d'un jeton appelant (server-to-server uniquement)
+ * header: Authorization: Bearer <secret du site>
+ * body: { userEmail, siteDomain, ttlSeconds? }
+ */
+app.post("/auth/caller-token", (req, res) => {
+  try {
+    const { userEmail, siteDomain, ttlSeconds } = req.body || {};
+    if (!userEmail) throw new ValidationError("userEmail requis", { code: "user_email_required" });
+    const sd = assertSiteDomain(siteDomain);
+
+    const secret = callerSecret(sd);
+    const presented = String(req.get("authorization") || "").replace(/^bearer\s+/i, "").trim();
+    if (!secret || !presented || !safeEqual(presented, secret))
+      throw new AuthError("Secret du site invalide", { code: "site_secret_invalid" });
+
+    const ttlMs = Number(ttlSeconds) > 0 ? Number(ttlSeconds) * 1000 : CALLER_TOKEN_TTL_MS;
+    return res.json({ ok: true, ...signCallerToken(userEmail, sd, ttlMs) });
+  } catch (e) {
+    return sendError(req, res, e);
+  }
+});
+
+// routes /admin/* (et écriture des profils de mapping) : header Authorization: Bearer <ADMIN_API_KEY>
+function requireAdmin(req, res, next) {
+  const key = process.env.ADMIN_API_KEY;
+  const presented = String(req.get("authorization") || "").replace(/^bearer\s+/i, "").trim();
+  if (!key || !presented || !safeEqual(presented, key)) throw new AuthError("Clé admin invalide", { code: "admin_key_invalid" });
+  return next();
+}
+
+/**
+ * Rechargement du registre des sites (sites.json) sans redémarrer
+ * Fichier invalide => 400 et l'ancienne configuration reste active.
+ */
+app.post("/admin/sites/reload", requireAdmin, async (req, res) => {
+  try {
+    const sites = await reloadSiteRegistry();
+    return res.json({
+      ok: true,
+      sites: sites.map(sd => ({ siteDomain: sd, products: Object.keys(siteRegistry[sd].products) }))
+    });
+  } catch (e) {
+    return sendError(req, res, e instanceof AppError ? e : new ValidationError(e.message || "sites.json invalide", { code: "site_config_invalid", params: { detail: e.message } }));
+  }
+});
+
+/**
+ * Journal d'audit
+ * query: userEmail?, siteDomain?, type? (ex. "cart", "address.delete"), from?, to?, limit? (500 par défaut)
+ */
+const AUDIT_CSV_HEADERS = [
+  "at", "type", "ok", "userEmail", "siteDomain", "durationMs",
+  "cartId", "productId", "lineCount", "totalQty", "statuses", "details"
+];
+
+function auditCsvRow(r) {
+  const { id, at, type, ok, userEmail, siteDomain, durationMs, cartId, productId, lines, ...details } = r;
+  const list = Array.isArray(lines) ? lines : [];
+  const statuses = [...new Set(list.map(l => l.status).filter(Boolean))];
+  return {
+    at,
+    type,
+    ok: ok === undefined ? "" : String(ok),
+    userEmail,
+    siteDomain,
+    durationMs,
+    cartId,
+    productId,
+    lineCount: list.length || "",
+    totalQty: list.length ? list.reduce((sum, l) => sum + (l.qty || 0), 0) : "",
+    statuses: statuses.join(" "),
+    details: JSON.stringify({ ...details, ...(list.length ? { lines: list } : {}) })
+  };
+}
+
+app.get("/admin/audit", requireAdmin, async (req, res) => {
+  try {
+    const entries = await readAudit(req.query);
+    return res.json({ ok: true, count: entries.length, entries });
+  } catch (e) {
+    return sendError(req, res, e);
+  }
+});
+
+app.get("/admin/audit/export.csv", requireAdmin, async (req, res) => {
+  try {
+    const entries = await readAudit({ ...req.query, limit: req.query?.limit || AUDIT_QUERY_MAX });
+    const csv = toCsv(entries.map(auditCsvRow), AUDIT_CSV_HEADERS);
+
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader("Content-Disposition", 'attachment; filename="audit.csv"');
+    return res.send(csv);
+  } catch (e) {
+    return sendError(req, res, e);
+  }
+});
+
+/**
+ * Profils de mapping de colonnes (par siteDomain)
+ * mapping = { Address1: "N° et voie", Postal: "Code postal", ... }
+ * Partagés par tous les utilisateurs du site : lecture par les appelants, écriture / suppression admin.
+ * Les routes d'écriture sont enregistrées avant authenticateCaller : leur Authorization porte la clé admin.
+ */
+const mappingProfiles = jsonStore("mapping-profiles");
+
+function assertColumnMapping(mapping) {
+  if (!mapping || typeof mapping !== "object" || Array.isArray(mapping))
+    throw new ValidationError("mapping invalide", { code: "invalid_mapping" });
+
+  const clean = {};
+  for (const [field, col] of Object.entries(mapping)) {
+    if (!ADDRESS_FIELD_ALIASES[field]) throw new ValidationError(`mapping invalide: champ inconnu ${field}`, { code: "unknown_mapping_field", params: { field } });
+    if (col == null || String(col).trim() === "") continue;
+    if (typeof col !== "string") throw new ValidationError(`mapping invalide: colonne de ${field}`, { code: "invalid_mapping_column", params: { field } });
+    clean[field] = col.trim();
+  }
+  return clean;
+}
+
+function assertProfileName(name) {
+  const n = String(name || "").trim();
+  if (!n || n.length > 64) throw new ValidationError("nom de profil invalide", { code: "profile_name_invalid" });
+  return n;
+}
+
+// mapping inline (objet ou JSON en multipart) ou profil enregistré (mappingProfile)
+async function resolveColumnMapping(siteDomain, body) {
+  if (body?.mapping) {
+    let m = body.mapping;
+    if (typeof m === "string") {
+      try {
+        m = JSON.parse(m);
+      } catch {
+        throw new ValidationError("mapping invalide (JSON)", { code: "invalid_mapping" });
+      }
+    }
+    return assertColumnMapping(m);
+  }
+
+  if (body?.mappingProfile) {
+    const profiles = await mappingProfiles.load();
+    const p = profiles[siteDomain]?.[String(body.mappingProfile).trim()];
+    if (!p) throw new NotFoundError("Profil de mapping introuvable: " + body.mappingProfile, {
+      code: "mapping_profile_not_found",
+      params: { name: body.mappingProfile }
+    });
+    return p.mapping;
+  }
+
+  return null;
+}
+
+app.put("/addressbook/mapping-profiles/:name", requireAdmin, async (req, res) => {
+  try {
+    const sd = assertSiteDomain(req.body?.siteDomain);
+    const name = assertProfileName(req.params.name);
+    const mapping = assertColumnMapping(req.body?.mapping);
+    if (!Object.keys(mapping).length) throw new ValidationError("mapping vide", { code: "mapping_empty" });
+
+    const profiles = await mappingProfiles.load();
+    profiles[sd] = profiles[sd] || {};
+    profiles[sd][name] = { name, mapping, updatedAt: new Date().toISOString() };
+    await mappingProfiles.save();
+
+    return res.json({ ok: true, profile: profiles[sd][name] });
+  } catch (e) {
+    return sendError(req, res, e);
+  }
+});
+
+app.delete("/addressbook/mapping-profiles/:name", requireAdmin, async (req, res) => {
+  try {
+    const sd = assertSiteDomain(req.query?.siteDomain);
+    const name = assertProfileName(req.params.name);
+
+    const profiles = await mappingProfiles.load();
+    if (!profiles[sd]?.[name])
+      throw new NotFoundError("Profil de mapping introuvable", { code: "mapping_profile_not_found", params: { name } });
+    delete profiles[sd][name];
+    await mappingProfiles.save();
+
+    return res.json({ ok: true });
+  } catch (e) {
+    return sendError(req, res, e);
+  }
+});
+
+app.use(authenticateCaller);
+
+/**
+ * Addressbook list
+ */
+app.post("/addressbook/list", async (req, res) => {
+  try {
+    const { userEmail, siteDomain } = req.body || {};
+    if (!userEmail) throw new ValidationError("userEmail requis", { code: "user_email_required" });
+
+    const sd = assertSiteDomain(siteDomain);
+
+    const client = await adminClient(sd);
+
+    const userId = await getUserId(client, sd, userEmail);
+    const ab = await getAddressBook(client, sd, userId);
+
+    const preferred = ab?.PreferredAddress || null;
+    const addresses = ab?.Addresses || [];
+
+    // dédoublonnage par AddressId
+    const map = new Map();
+    for (const a of [preferred, ...addresses].filter(Boolean)) {
+      const id = a?.AddressId;
+      if (id && !map.has(id)) map.set(id, a);
+    }
+
+    return res.json({
+      ok: true,
+      preferredId: preferred?.AddressId || null,
+      addresses: [...map.values()]
+    });
+  } catch (e) {
+    return sendError(req, res, e);
+  }
+});
+
+app.get("/addressbook/mapping-profiles", async (req, res) => {
+  try {
+    const sd = assertSiteDomain(req.query?.siteDomain);
+    const profiles = await mappingProfiles.load();
+    return res.json({ ok: true, profiles: Object.values(profiles[sd] || {}) });
+  } catch (e) {
+    return sendError(req, res, e);
+  }
+});
+
+/**
+ * Inspecte un fichier : en-têtes, mapping suggéré, aperçu des premières lignes
+ */
+app.post("/addressbook/inspect-file", uploadFile, async (req, res) => {
+  try {
+    const f = req.file;
+    if (!f) throw new ValidationError("Fichier manquant (field 'file')", { code: "file_required" });
+
+    const parsed = await parseImportFile(f, fileParseOptions(req.body));
+    if (!parsed) throw new ValidationError("Format non supporté (csv/xlsx)", { code: "unsupported_format" });
+
+    const { records } = parsed;
+    const headers = fileHeaders(records);
+    const suggestedMapping = suggestColumnMapping(headers);
+    const mapped = new Set(Object.values(suggestedMapping));
+
+    return res.json({
+      ok: true,
+      source: parsed.meta,
+      rowCount: records.length,
+      headers,
+      suggestedMapping,
+      unmappedHeaders: headers.filter(h => !mapped.has(h)),
+      missingRequired: ["Address1", "City", "Postal"].filter(k => !suggestedMapping[k]),
+      sample: records.slice(0, 5).map(r => ({ row: r.rowNumber, ...r.raw }))
+    });
+  } catch (e) {
+    return sendError(req, res, e);
+  }
+});
+
+/**
+ * Import file (CSV/XLSX)
+ * Objectif: update si AddressId, sinon CREATE,
+ * MAIS: skip si (sans AddressId) l'adresse existe déjà dans l'addressbook (signature sans business)
+ * + dédoublonnage interne du fichier
+ * dryRun=true : renvoie le plan ligne par ligne sans rien écrire
+ * mapping (JSON) ou mappingProfile : correspondance colonnes du fichier -> champs
+ * sheet (nom ou numéro) / headerRow : sinon détection automatique (XLSX)
+ * encoding / delimiter : sinon détection automatique (CSV)
+ * matching (JSON) : { fuzzy, threshold } pour la détection des doublons
+ * background=true : réponse 202 { jobId } immédiate, suivi via /jobs/:id
+ */
+function isTruthy(v) {
+  return v === true || ["1", "true", "yes", "oui"].includes(String(v ?? "").trim().toLowerCase());
+}
+
+function addressLabel(a) {
+  return `${a.Address1} / ${a.Postal} / ${a.City}`;
+}
+
+// plan d'import : create / update / skip-duplicate / invalid (même logique en dryRun et en réel)
+// options: { mapping, matching }
+function planImport(records, existingAll, { mapping, matching, defaultCountry } = {}) {
+  const existing = addressMatcher(existingAll, matching);
+  const existingIds = new Set(existingAll.map(a => a?.AddressId).filter(Boolean));
+  const inFile = addressMatcher([], matching);
+  const rowOf = new Map();
+  const seenIds = new Set();
+  const plan = [];
+  const warningsOf = new Map();
+
+  for (const { rowNumber, raw } of records) {
+    const addr = normalizeImportedAddress(raw, mapping, defaultCountry);
+
+    if (!addr) {
+      const { issues } = checkImportedAddress(raw, mapping, defaultCountry);
+      plan.push({ row: rowNumber, action: "invalid", reason: "invalid_fields", issues, raw });
+      continue;
+    }
+
+    const { warnings } = checkImportedAddress(raw, mapping, defaultCountry);
+    if (warnings.length) warningsOf.set(rowNumber, warnings);
+
+    if (addr.AddressId) {
+      // dédoublonnage interne du fichier import
+      if (seenIds.has(addr.AddressId)) {
+        plan.push({ row: rowNumber, action: "skip-duplicate", reason: "duplicate_in_file", address: addr });
+        continue;
+      }
+      seenIds.add(addr.AddressId);
+
+      if (!existingIds.has(addr.AddressId)) {
+        plan.push({
+          row: rowNumber,
+          action: "invalid",
+          reason: "address_id_not_in_addressbook",
+          issues: [{ field: "AddressId", code: "not_found", value: addr.AddressId }],
+          raw,
+          address: addr
+        });
+        continue;
+      }
+      plan.push({ row: rowNumber, action: "update", address: addr });
+      continue;
+    }
+
+    const dupInFile = inFile.find(addr);
+    if (dupInFile) {
+      plan.push({
+        row: rowNumber,
+        action: "skip-duplicate",
+        reason: "duplicate_in_file",
+        duplicateOfRow: rowOf.get(dupInFile.address),
+        score: dupInFile.score,
+        address: addr
+      });
+      continue;
+    }
+    inFile.add(addr);
+    rowOf.set(addr, rowNumber);
+
+    // si pas d'AddressId, on SKIP si déjà existant (matching sans business)
+    const dup = existing.find(addr);
+    if (dup) {
+      plan.push({
+        row: rowNumber,
+        action: "skip-duplicate",
+        reason: "duplicate_in_addressbook",
+        matchedAddressId: dup.address.AddressId || null,
+        score: dup.score,
+        address: addr
+      });
+      continue;
+    }
+
+    plan.push({ row: rowNumber, action: "create", address: addr });
+  }
+
+  return plan.map(p => (p.action !== "invalid" && warningsOf.has(p.row) ? { ...p, warnings: warningsOf.get(p.row) } : p));
+}
+
+// lignes acceptées après correction automatique (ex. 0 initial du code postal) => [{ row, warnings }]
+function correctedRows(plan) {
+  return plan.filter(p => p.warnings).map(({ row, warnings }) => ({ row, warnings }));
+}
+
+// exécute les lignes create/update/skip du plan (updates un par un, créations en lot)
+async function applyImportPlan(client, sd, userId, actionable, { before, template, concurrency, ctx = inlineJobContext() }) {
+  let updatedCount = 0;
+  let skippedCount = 0;
+  let cancelledCount = 0;
+
+  const skipped = [];
+  const errors = [];
+  const toCreate = [];
+  const toUpdate = [];
+
+  for (let i = 0; i < actionable.length; i++) {
+    const { row, action, reason, address: addr } = actionable[i];
+
+    if (action === "skip-duplicate") {
+      skippedCount++;
+      ctx.increment("skipped");
+      skipped.push({
+        index: i + 1,
+        row,
+        address: addressLabel(addr),
+        reason,
+        matchedAddressId: actionable[i].matchedAddressId,
+        score: actionable[i].score
+      });
+      continue;
+    }
+
+    if (action === "create") {
+      toCreate.push({ index: i + 1, row, addr });
+      continue;
+    }
+
+    toUpdate.push({ index: i + 1, row, addr });
+  }
+
+  const updates = await runBatch(toUpdate, async u => {
+    try {
+      await updateAddress(client, sd, userId, u.addr.AddressId, buildAddressPayload(u.addr, template));
+      return { ok: true };
+    } catch (e) {
+      return { ok: false, error: { index: u.index, row: u.row, address: addressLabel(u.addr), ...upstreamError(e) } };
+    }
+  }, {
+    concurrency,
+    shouldStop: ctx.cancelled,
+    onItem: r => ctx.increment(r.ok ? "updated" : "errors")
+  });
+
+  for (let k = 0; k < toUpdate.length; k++) {
+    const u = updates[k];
+    if (!u) cancelledCount++;
+    else if (u.ok) updatedCount++;
+    else errors.push(u.error);
+  }
+
+  const results = await createAddresses(client, sd, userId, toCreate.map(c => c.addr), { before, template, concurrency, ctx });
+
+  const created = [];
+  toCreate.forEach((c, k) => {
+    const r = results[k];
+    if (r.state === "cancelled") {
+      cancelledCount++;
+      return;
+    }
+    if (r.state === "failed") {
+      errors.push({ index: c.index, row: c.row, address: addressLabel(c.addr), message: r.message, status: r.status });
+      return;
+    }
+    created.push({ index: c.index, row: c.row, address: addressLabel(c.addr), state: r.state, addressId: r.addressId });
+  });
+
+  return {
+    createdCount: created.length,
+    updatedCount,
+    skippedCount,
+    unresolvedCount: created.filter(c => c.state === "created_unresolved").length,
+    cancelledCount,
+    skipped,
+    errors,
+    created
+  };
+}
+
+// pipeline commun import fichier / import JSON : plan (dédoublonnage) puis création / mise à jour
+async function handleImport(req, res, { userEmail, sd, records, source, mapping, dryRun }) {
+  const startedAt = Date.now();
+  const { defaultCountry } = siteConfig(sd);
+  const totalParsed = records.filter(r => normalizeImportedAddress(r.raw, mapping, defaultCountry)).length;
+  if (!totalParsed && !dryRun) {
+    throw new ValidationError("Aucune ligne valide trouvée dans l'import.", { code: "no_valid_rows" });
+  }
+
+  const client = await adminClient(sd);
+  const userId = await getUserId(client, sd, userEmail);
+
+  // signatures existantes dans l'addressbook => SKIP des créations en doublon
+  const abExisting = await getAddressBook(client, sd, userId);
+  const existingAll = [abExisting?.PreferredAddress, ...(abExisting?.Addresses || [])].filter(Boolean);
+
+  const plan = planImport(records, existingAll, { mapping, matching: req.body?.matching, defaultCountry });
+  const count = action => plan.filter(p => p.action === action).length;
+
+  if (dryRun) {
+    return res.json({
+      ok: true,
+      dryRun: true,
+      source,
+      totalRows: records.length,
+      totalParsed,
+      createCount: count("create"),
+      updateCount: count("update"),
+      skipCount: count("skip-duplicate"),
+      invalidCount: count("invalid"),
+      correctedCount: correctedRows(plan).length,
+      plan: plan.map(p => localizeRejected(requestLang(req), p))
+    });
+  }
+
+  const invalid = plan.filter(p => p.action === "invalid");
+  const skippedDuplicates = plan
+    .filter(p => p.action === "skip-duplicate")
+    .map(({ row, reason, matchedAddressId, duplicateOfRow, score, address }) => ({
+      row,
+      reason,
+      matchedAddressId,
+      duplicateOfRow,
+      score,
+      address: addressLabel(address)
+    }));
+  const actionable = plan.filter(p => p.action !== "invalid" && p.reason !== "duplicate_in_file");
+
+  return respondWithJob(req, res, "import", { userEmail, siteDomain: sd }, async ctx => {
+    ctx.progress({ total: actionable.length, created: 0, updated: 0, skipped: 0, errors: 0 });
+
+    // compteurs gardés localement : si l'import casse en route, l'audit dit ce qui a déjà été écrit
+    const done = {};
+    const tracked = {
+      ...ctx,
+      increment: (key, n = 1) => {
+        done[key] = (done[key] || 0) + n;
+        ctx.increment(key, n);
+      }
+    };
+
+    let outcome;
+    try {
+      outcome = await applyImportPlan(client, sd, userId, actionable, {
+        before: existingAll,
+        template: abExisting?.PreferredAddress,
+        concurrency: batchConcurrency(req.body?.concurrency),
+        ctx: tracked
+      });
+    } catch (e) {
+      audit("address.import", {
+        userEmail,
+        siteDomain: sd,
+        ok: false,
+        error: e.message,
+        code: toAppError(e).code,
+        source: source?.format,
+        userId,
+        plannedCount: actionable.length,
+        invalidCount: invalid.length,
+        progress: done
+      }, startedAt);
+      throw e;
+    }
+    const { createdCount, updatedCount, skippedCount, unresolvedCount, cancelledCount, skipped, errors, created } = outcome;
+
+    audit("address.import", {
+      userEmail,
+      siteDomain: sd,
+      ok: errors.length === 0 && cancelledCount === 0,
+      source: source?.format,
+      userId,
+      createdCount,
+      updatedCount,
+      skippedCount,
+      unresolvedCount,
+      cancelledCount,
+      invalidCount: invalid.length,
+      created: created.map(c => c.addressId).filter(Boolean),
+      errors: errors.map(({ row, status, message }) => ({ row, status, message }))
+    }, startedAt);
+
+    return {
+      ok: errors.length === 0 && cancelledCount === 0,
+      source,
+      totalParsed,
+      totalImported: actionable.length,
+      createdCount,
+      updatedCount,
+      skippedCount,
+      unresolvedCount,
+      cancelledCount,
+      errorCount: errors.length,
+      invalidCount: invalid.length,
+      created,
+      skipped,
+      skippedDuplicates,
+      corrected: correctedRows(plan),
+      errors,
+      invalid: invalid.map(({ row, reason, issues, raw }) => localizeRejected(requestLang(req), { row, reason, issues, raw }))
+    };
+  });
+}
+
+app.post("/addressbook/import-file", uploadFile, async (req, res) => {
+  try {
+    const userEmail = (req.body?.userEmail || "").trim();
+    const siteDomain = (req.body?.siteDomain || "").trim();
+    const dryRun = isTruthy(req.body?.dryRun);
+    if (!userEmail) throw new ValidationError("userEmail requis", { code: "user_email_required" });
+
+    const sd = assertSiteDomain(siteDomain);
+
+    const f = req.file;
+    if (!f) throw new ValidationError("Fichier manquant (field 'file')", { code: "file_required" });
+
+    const mapping = await resolveColumnMapping(sd, req.body);
+    const parsed = await parseImportFile(f, fileParseOptions(req.body, mapping));
+    if (!parsed) throw new ValidationError("Format non supporté (csv/xlsx)", { code: "unsupported_format" });
+
+    return await handleImport(req, res, { userEmail, sd, records: parsed.records, source: parsed.meta, mapping, dryRun });
+  } catch (e) {
+    return sendError(req, res, e);
+  }
+});
+
+/**
+ * Import JSON (widget storefront : lignes déjà parsées côté navigateur)
+ * body: { userEmail, siteDomain, newAddresses: [...], dryRun?, mapping?, mappingProfile?, matching?, background? }
+ * Même pipeline et même réponse que import-file (numéro de ligne = position dans newAddresses, à partir de 1).
+ */
+const IMPORT_JSON_MAX_ROWS = 5000;
+
+app.post("/addressbook/import", async (req, res) => {
+  try {
+    const { userEmail, siteDomain, newAddresses } = req.body || {};
+    const dryRun = isTruthy(req.body?.dryRun);
+    if (!userEmail) throw new ValidationError("userEmail requis", { code: "user_email_required" });
+
+    const sd = assertSiteDomain(siteDomain);
+
+    if (!Array.isArray(newAddresses) || !newAddresses.length)
+      throw new ValidationError("newAddresses requis (tableau d'adresses)", { code: "new_addresses_required" });
+    if (newAddresses.length > IMPORT_JSON_MAX_ROWS)
+      throw new ValidationError(`newAddresses: ${IMPORT_JSON_MAX_ROWS} lignes maximum`, {
+        code: "too_many_rows",
+        params: { field: "newAddresses", max: IMPORT_JSON_MAX_ROWS }
+      });
+
+    const records = newAddresses
+      .map((raw, i) => ({ rowNumber: i + 1, raw: raw && typeof raw === "object" ? raw : {} }))
+      .filter(r => !isBlankRow(r.raw));
+
+    const mapping = await resolveColumnMapping(sd, req.body);
+
+    return await handleImport(req, res, { userEmail, sd, records, source: { format: "json" }, mapping, dryRun });
+  } catch (e) {
+    return sendError(req, res, e);
+  }
+});
+
+/**
+ * Rapport XLSX des lignes rejetées (mêmes paramètres que import-file)
+ * Colonnes d'origine conservées => le fichier corrigé peut être ré-importé tel quel.
+ */
+function describeIssue(lang, i) {
+  const { field, value, expected } = localizeIssue(lang, i);
+  if (i.code === "missing") return t(lang, "issue_missing", { field });
+  if (i.code === "not_found") return t(lang, "issue_not_found", { field, value });
+  return t(lang, expected ? "issue_invalid_format_expected" : "issue_invalid_format", { field, value: value ?? "", expected });
+}
+
+async function buildRejectReportXlsx(records, invalid, mapping, lang = DEFAULT_LANG) {
+  const headers = fileHeaders(records);
+
+  const wb = new ExcelJS.Workbook();
+  wb.creator = "cart-orchestrator";
+  wb.created = new Date();
+
+  const ws = wb.addWorksheet(t(lang, "report_sheet"), {
+    views: [{ state: "frozen", ySplit: 1 }]
+  });
+
+  ws.columns = [
+    ...headers.map(h => ({ header: h, key: h, width: Math.max(12, Math.min(40, h.length + 4)) })),
+    { header: t(lang, "report_row"), key: "__row", width: 8 },
+    { header: t(lang, "report_errors"), key: "__errors", width: 60 }
+  ];
+
+  ws.getRow(1).font = { bold: true };
+  ws.getRow(1).alignment = { vertical: "middle" };
+  ws.getRow(1).height = 18;
+
+  const errorFill = { type: "pattern", pattern: "solid", fgColor: { argb: "FFF5C2C0" } };
+
+  for (const p of invalid) {
+    const row = ws.addRow({
+      ...Object.fromEntries(headers.map(h => [h, p.raw?.[h] ?? ""])),
+      __row: p.row,
+      __errors: p.issues.map(i => describeIssue(lang, i)).join(" ; ")
+    });
+
+    for (const issue of p.issues) {
+      const col = sourceColumn(p.raw, issue.field, mapping);
+      if (!col) continue;
+      const cell = row.getCell(col);
+      cell.fill = errorFill;
+      cell.note = describeIssue(lang, issue);
+    }
+  }
+
+  return wb;
+}
+
+app.post("/addressbook/import-file/report.xlsx", uploadFile, async (req, res) => {
+  try {
+    const userEmail = (req.body?.userEmail || "").trim();
+    const siteDomain = (req.body?.siteDomain || "").trim();
+    if (!userEmail) throw new ValidationError("userEmail requis", { code: "user_email_required" });
+
+    const sd = assertSiteDomain(siteDomain);
+
+    const f = req.file;
+    if (!f) throw new ValidationError("Fichier manquant (field 'file')", { code: "file_required" });
+
+    const mapping = await resolveColumnMapping(sd, req.body);
+    const parsed = await parseImportFile(f, fileParseOptions(req.body, mapping));
+    if (!parsed) throw new ValidationError("Format non supporté (csv/xlsx)", { code: "unsupported_format" });
+
+    const { records } = parsed;
+    const client = await adminClient(sd);
+    const userId = await getUserId(client, sd, userEmail);
+
+    const ab = await getAddressBook(client, sd, userId);
+    const existingAll = [ab?.PreferredAddress, ...(ab?.Addresses || [])].filter(Boolean);
+
+    const invalid = planImport(records, existingAll, { mapping, defaultCountry: siteConfig(sd).defaultCountry }).filter(p => p.action === "invalid");
+    const wb = await buildRejectReportXlsx(records, invalid, mapping, requestLang(req));
+
+    res.setHeader("Content-Type", "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
+    res.setHeader("Content-Disposition", 'attachment; filename="import-rejets.xlsx"');
+    res.setHeader("X-Invalid-Count", String(invalid.length));
+
+    await wb.xlsx.write(res);
+    res.end();
+  } catch (e) {
+    return sendError(req, res, e);
+  }
+});
+
+/**
+ * Suppression / adresse préférée
+ * L'adresse préférée ne peut pas être supprimée : en choisir une autre d'abord.
+ */
+const BULK_DELETE_MAX = 500;
+
+app.post("/addressbook/delete", async (req, res) => {
+  const startedAt = Date.now();
+  try {
+    const { userEmail, siteDomain, addressId } = req.body || {};
+    if (!userEmail) throw new ValidationError("userEmail requis", { code: "user_email_required" });
+    if (!addressId) throw new ValidationError("addressId requis", { code: "address_id_required" });
+
+    const sd = assertSiteDomain(siteDomain);
+
+    const client = await adminClient(sd);
+
+    const userId = await getUserId(client, sd, userEmail);
+    const ab = await getAddressBook(client, sd, userId);
+
+    if (!uniqueAddresses(ab).some(a => a.AddressId === addressId))
+      throw new NotFoundError("Adresse introuvable dans l'addressbook", { code: "address_not_found" });
+    if (ab?.PreferredAddress?.AddressId === addressId)
+      throw new ConflictError("Impossible de supprimer l'adresse préférée", { code: "preferred_address" });
+
+    try {
+      await deleteAddress(client, sd, userId, addressId);
+    } catch (e) {
+      audit("address.delete", { userEmail, siteDomain: sd, ok: false, userId, addressId, ...upstreamError(e) }, startedAt);
+      throw e;
+    }
+    audit("address.delete", { userEmail, siteDomain: sd, ok: true, userId, addressId }, startedAt);
+
+    return res.json({ ok: true, addressId });
+  } catch (e) {
+    return sendError(req, res, e);
+  }
+});
+
+app.post("/addressbook/delete-bulk", async (req, res) => {
+  const startedAt = Date.now();
+  try {
+    const { userEmail, siteDomain, addressIds } = req.body || {};
+    if (!userEmail) throw new ValidationError("userEmail requis", { code: "user_email_required" });
+    if (!Array.isArray(addressIds) || !addressIds.length)
+      throw new ValidationError("addressIds requis", { code: "address_ids_required" });
+    if (addressIds.length > BULK_DELETE_MAX)
+      throw new ValidationError(`addressIds: ${BULK_DELETE_MAX} maximum`, {
+        code: "too_many_rows",
+        params: { field: "addressIds", max: BULK_DELETE_MAX }
+      });
+
+    const sd = assertSiteDomain(siteDomain);
+
+    const client = await adminClient(sd);
+
+    const userId = await getUserId(client, sd, userEmail);
+    const ab = await getAddressBook(client, sd, userId);
+    const preferredId = ab?.PreferredAddress?.AddressId || null;
+    const existingIds = new Set(uniqueAddresses(ab).map(a => a.AddressId));
+
+    const results = [];
+    for (const id of [...new Set(addressIds.map(String))]) {
+      if (!existingIds.has(id)) {
+        results.push({ addressId: id, ok: false, reason: "not_found" });
+        continue;
+      }
+      if (id === preferredId) {
+        results.push({ addressId: id, ok: false, reason: "preferred_address" });
+        continue;
+      }
+
+      try {
+        await deleteAddress(client, sd, userId, id);
+        results.push({ addressId: id, ok: true });
+      } catch (e) {
+        results.push({
+          addressId: id,
+          ok: false,
+          reason: "upstream_error",
+          ...upstreamError(e)
+        });
+      }
+    }
+
+    const deletedCount = results.filter(r => r.ok).length;
+    audit("address.delete_bulk", {
+      userEmail,
+      siteDomain: sd,
+      ok: deletedCount === results.length,
+      userId,
+      deletedCount,
+      results
+    }, startedAt);
+
+    return res.json({
+      ok: deletedCount === results.length,
+      deletedCount,
+      errorCount: results.length - deletedCount,
+      results
+    });
+  } catch (e) {
+    return sendError(req, res, e);
+  }
+});
+
+app.post("/addressbook/preferred", async (req, res) => {
+  const startedAt = Date.now();
+  try {
+    const { userEmail, siteDomain, addressId } = req.body || {};
+    if (!userEmail) throw new ValidationError("userEmail requis", { code: "user_email_required" });
+    if (!addressId) throw new ValidationError("addressId requis", { code: "address_id_required" });
+
+    const sd = assertSiteDomain(siteDomain);
+
+    const client = await adminClient(sd);
+
+    const userId = await getUserId(client, sd, userEmail);
+    const ab = await getAddressBook(client, sd, userId);
+
+    if (!uniqueAddresses(ab).some(a => a.AddressId === addressId))
+      throw new NotFoundError("Adresse introuvable dans l'addressbook", { code: "address_not_found" });
+
+    const previousId = ab?.PreferredAddress?.AddressId || null;
+    if (previousId !== addressId) {
+      await setPreferredAddress(client, sd, userId, addressId);
+      audit("address.preferred", { userEmail, siteDomain: sd, ok: true, userId, addressId, previousPreferredId: previousId }, startedAt);
+    }
+
+    return res.json({ ok: true, preferredId: addressId, previousPreferredId: previousId });
+  } catch (e) {
+    return sendError(req, res, e);
+  }
+});
+
+/**
+ * Doublons probables dans l'addressbook (matching approximatif)
+ */
+app.post("/addressbook/duplicates", async (req, res) => {
+  try {
+    const { userEmail, siteDomain, matching } = req.body || {};
+    if (!userEmail) throw new ValidationError("userEmail requis", { code: "user_email_required" });
+
+    const sd = assertSiteDomain(siteDomain);
+
+    const client = await adminClient(sd);
+
+    const userId = await getUserId(client, sd, userEmail);
+    const ab = await getAddressBook(client, sd, userId);
+
+    const all = uniqueAddresses(ab);
+    const clusters = findDuplicateClusters(all, matching);
+
+    return res.json({
+      ok: true,
+      preferredId: ab?.PreferredAddress?.AddressId || null,
+      totalAddresses: all.length,
+      clusterCount: clusters.length,
+      clusters
+    });
+  } catch (e) {
+    return sendError(req, res, e);
+  }
+});
+
+/**
+ * Dédoublonnage de l'addressbook
+ * - sans confirm : aperçu (groupes, adresse conservée, adresses à supprimer)
+ * - confirm=true : suppression via l'API Addressbook + journal d'annulation (undoId)
+ * Par défaut matching exact (clé canonique) : on supprime, donc pas d'approximatif sans le demander.
+ * keep: [AddressId] force l'adresse conservée dans son groupe.
+ */
+const dedupeUndoLog = jsonStore("addressbook-undo");
+
+const ADDRESS_COMPLETENESS_FIELDS = [
+  "Business", "FirstName", "LastName", "Title", "Address1", "Address2", "Address3",
+  "City", "StateProvince", "Postal", "Country", "Phone", "Email"
+];
+
+function completeness(a) {
+  return ADDRESS_COMPLETENESS_FIELDS.filter(k => {
+    const v = String(a?.[k] ?? "").trim();
+    return v && v !== "NA";
+  }).length;
+}
+
+// préférée > forcée par l'utilisateur > la plus complète > la première
+function planDedupe(clusters, preferredId, keepIds = []) {
+  const keepSet = new Set(keepIds);
+
+  return clusters.map(c => {
+    const ranked = [...c.addresses].sort((a, b) => {
+      const rank = x => (x.AddressId === preferredId ? 2 : 0) + (keepSet.has(x.AddressId) ? 1 : 0);
+      return rank(b) - rank(a) || completeness(b) - completeness(a);
+    });
+
+    const keep = ranked[0];
+    return {
+      score: c.score,
+      keep,
+      remove: ranked.slice(1).filter(a => a.AddressId !== preferredId)
+    };
+  });
+}
+
+app.post("/addressbook/dedupe", async (req, res) => {
+  const startedAt = Date.now();
+  try {
+    const { userEmail, siteDomain, matching, keep, confirm } = req.body || {};
+    if (!userEmail) throw new ValidationError("userEmail requis", { code: "user_email_required" });
+
+    const sd = assertSiteDomain(siteDomain);
+
+    const client = await adminClient(sd);
+
+    const userId = await getUserId(client, sd, userEmail);
+    const ab = await getAddressBook(client, sd, userId);
+    const preferredId = ab?.PreferredAddress?.AddressId || null;
+
+    const clusters = findDuplicateClusters(uniqueAddresses(ab), { fuzzy: false, ...(matching || {}) });
+    const groups = planDedupe(clusters, preferredId, Array.isArray(keep) ? keep : []);
+    const toRemove = groups.flatMap(g => g.remove);
+
+    if (!isTruthy(confirm)) {
+      return res.json({
+        ok: true,
+        dryRun: true,
+        groupCount: groups.length,
+        removeCount: toRemove.length,
+        groups
+      });
+    }
+
+    const deleted = [];
+    const errors = [];
+
+    for (const a of toRemove) {
+      try {
+        await deleteAddress(client, sd, userId, a.AddressId);
+        deleted.push(a);
+      } catch (e) {
+        errors.push({
+          addressId: a.AddressId,
+          address: addressLabel(a),
+          ...upstreamError(e)
+        });
+      }
+    }
+
+    let undoId = null;
+    if (deleted.length) {
+      undoId = crypto.randomUUID();
+      const log = await dedupeUndoLog.load();
+      log[undoId] = {
+        undoId,
+        userEmail,
+        siteDomain: sd,
+        createdAt: new Date().toISOString(),
+        undoneAt: null,
+        addresses: deleted
+      };
+      await dedupeUndoLog.save();
+    }
+
+    audit("address.dedupe", {
+      userEmail,
+      siteDomain: sd,
+      ok: errors.length === 0,
+      userId,
+      undoId,
+      deleted: deleted.map(a => a.AddressId),
+      errors
+    }, startedAt);
+
+    return res.json({
+      ok: errors.length === 0,
+      dryRun: false,
+      groupCount: groups.length,
+      deletedCount: deleted.length,
+      errorCount: errors.length,
+      undoId,
+      deleted: deleted.map(a => a.AddressId),
+      errors
+    });
+  } catch (e) {
+    return sendError(req, res, e);
+  }
+});
+
+/**
+ * Annulation d'un dédoublonnage : recrée les adresses supprimées (nouveaux AddressId)
+ */
+app.post("/addressbook/dedupe/undo", async (req, res) => {
+  const startedAt = Date.now();
+  try {
+    const { userEmail, siteDomain, undoId } = req.body || {};
+    if (!userEmail) throw new ValidationError("userEmail requis", { code: "user_email_required" });
+    if (!undoId) throw new ValidationError("undoId requis", { code: "undo_id_required" });
+
+    const sd = assertSiteDomain(siteDomain);
+
+    const log = await dedupeUndoLog.load();
+    const entry = log[undoId];
+    if (!entry || entry.siteDomain !== sd || norm(entry.userEmail) !== norm(userEmail))
+      throw new NotFoundError("undoId introuvable", { code: "undo_not_found" });
+    if (entry.undoneAt) throw new ConflictError("Déjà annulé", { code: "already_undone" });
+
+    const client = await adminClient(sd);
+
+    const userId = await getUserId(client, sd, userEmail);
+    const ab = await getAddressBook(client, sd, userId);
+    const preferred = ab?.PreferredAddress || null;
+
+    const restored = [];
+    const errors = [];
+
+    const fields = entry.addresses.map(({ AddressId, ...rest }) => rest);
+    const results = await createAddresses(client, sd, userId, fields, {
+      before: uniqueAddresses(ab),
+      template: preferred
+    });
+
+    entry.addresses.forEach((a, k) => {
+      const r = results[k];
+      if (r.state === "failed") {
+        errors.push({ previousAddressId: a.AddressId, address: addressLabel(a), message: r.message, status: r.status });
+      } else {
+        restored.push({ previousAddressId: a.AddressId, addressId: r.addressId, state: r.state });
+      }
+    });
+
+    // on garde dans le journal ce qui n'a pas pu être restauré
+    const failedIds = new Set(errors.map(e => e.previousAddressId));
+    entry.addresses = entry.addresses.filter(a => failedIds.has(a.AddressId));
+    if (!entry.addresses.length) entry.undoneAt = new Date().toISOString();
+    await dedupeUndoLog.save();
+
+    audit("address.dedupe_undo", { userEmail, siteDomain: sd, ok: errors.length === 0, userId, undoId, restored, errors }, startedAt);
+
+    return res.json({
+      ok: errors.length === 0,
+      restoredCount: restored.length,
+      errorCount: errors.length,
+      restored,
+      errors
+    });
+  } catch (e) {
+    return sendError(req, res, e);
+  }
+});
+
+/**
+ * Validate addresses for distribution list
+ * - merge duplicates
+ * - ensure each address exists in addressbook (create if missing, en lot)
+ * - return addressId per line (status: existing / created / created_unresolved / failed)
+ */
+// créations d'adresses faites en passant (validation / import de distribution)
+function auditCreations(origin, { userEmail, sd, userId, groups, results }, startedAt) {
+  audit("address.create", {
+    userEmail,
+    siteDomain: sd,
+    ok: results.every(r => r.state !== "failed"),
+    origin,
+    userId,
+    addresses: groups.map((g, k) => ({
+      address: addressLabel(g.addr),
+      addressId: results[k].addressId,
+      state: results[k].state,
+      status: results[k].status ?? null,
+      message: results[k].message
+    }))
+  }, startedAt);
+}
+
+function mergeDuplicates(list, defaultCountry = "FR") {
+  if (!Array.isArray(list)) return [];
+  const map = new Map();
+  for (const r of list) {
+    const address = (r?.address || r?.Address1 || "").toString().trim();
+    const zip = (r?.zip || r?.Postal || "").toString().trim();
+    const city = (r?.city || r?.City || "").toString().trim();
+    const country = (r?.country || r?.Country || defaultCountry).toString().trim().toUpperCase();
+    const qty = Number(r?.qty || r?.quantity || 0) || 0;
+    if (!address || !zip || !city || qty <= 0) continue;
+
+    const key = `${norm(address)}|${norm(zip)}|${norm(city)}|${norm(country)}`;
+    const prev = map.get(key) || { address, zip, city, country, qty: 0 };
+    prev.qty += qty;
+    map.set(key, prev);
+  }
+  return [...map.values()];
+}
+
+app.post("/validate-addresses", async (req, res) => {
+  const startedAt = Date.now();
+  try {
+    const { userEmail, siteDomain, distributionList } = req.body || {};
+    if (!userEmail) throw new ValidationError("userEmail requis", { code: "user_email_required" });
+
+    const sd = assertSiteDomain(siteDomain);
+    const list = mergeDuplicates(distributionList, siteConfig(sd).defaultCountry);
+    if (!list.length) throw new ValidationError("distributionList vide", { code: "lines_required" });
+
+    const client = await adminClient(sd);
+
+    const userId = await getUserId(client, sd, userEmail);
+    const ab = await getAddressBook(client, sd, userId);
+    const preferred = ab?.PreferredAddress || null;
+
+    const existingAll = [ab?.PreferredAddress, ...(ab?.Addresses || [])].filter(a => a?.AddressId);
+    const matcher = addressMatcher(existingAll, req.body?.matching);
+
+    const validated = [];
+    const toCreate = [];
+    const pending = addressMatcher([], req.body?.matching);
+    const groupOf = new Map();
+
+    for (const row of list) {
+      const addr = {
+        Business: "Distribution",
+        Address1: row.address,
+        City: row.city,
+        Postal: row.zip,
+        Country: row.country || preferred?.Country || siteConfig(sd).defaultCountry
+      };
+
+      const match = matcher.find(addr);
+      if (match) {
+        validated.push({ ...row, addressId: match.address.AddressId, status: "existing", matchScore: match.score });
+        continue;
+      }
+
+      const item = { ...row, addressId: null, status: "pending", matchScore: null };
+      validated.push(item);
+
+      // deux lignes pour la même adresse manquante => une seule création
+      const same = pending.find(addr);
+      if (same) {
+        groupOf.get(same.address).items.push(item);
+      } else {
+        const group = { addr, items: [item] };
+        pending.add(addr);
+        groupOf.set(addr, group);
+        toCreate.push(group);
+      }
+    }
+
+    const results = await createAddresses(client, sd, userId, toCreate.map(g => g.addr), {
+      before: existingAll,
+      template: preferred,
+      concurrency: batchConcurrency(req.body?.concurrency)
+    });
+
+    toCreate.forEach((g, k) => {
+      const r = results[k];
+      for (const item of g.items) {
+        item.addressId = r.addressId;
+        item.status = r.state;
+        if (r.state === "failed") item.error = r.message;
+      }
+    });
+
+    const unresolved = validated.filter(v => !v.addressId);
+    if (toCreate.length) auditCreations("validate-addresses", { userEmail, sd, userId, groups: toCreate, results }, startedAt);
+
+    return res.json({
+      ok: unresolved.length === 0,
+      userId,
+      createdCount: results.filter(r => r.state !== "failed").length,
+      unresolvedCount: unresolved.length,
+      validated
+    });
+  } catch (e) {
+    return sendError(req, res, e);
+  }
+});
+
+/**
+ * Import d'une distribution avec quantités (aller-retour export => Qty rempli dans Excel => upload)
+ * multipart: file, userEmail, siteDomain, mapping? / mappingProfile?, sheet?, headerRow?, encoding?, delimiter?, matching?
+ * Chaque ligne avec Qty > 0 : AddressId connu, sinon adresse retrouvée (matching), sinon créée.
+ * Plusieurs lignes pour la même adresse => une seule ligne, quantités additionnées.
+ * addToCart=1 => enchaîne sur /add-to-cart-distribution avec les mêmes champs
+ * (productKey ou urlName, pricingOptions, quantities, mode, idempotencyKey, background… ; JSON en multipart).
+ * Sans addToCart, ok = ce que addToCart accepterait : au moins une ligne, aucune invalide ni non résolue.
+ */
+const DISTRIBUTION_JSON_FIELDS = ["pricingOptions", "quantities", "otherQuantities"];
+
+// vide => 0 ; entier >= 0 sinon null (invalide)
+function parseQty(v) {
+  const s = String(v ?? "").trim().replace(/\s/g, "");
+  if (!s) return 0;
+  return /^\d+$/.test(s) ? parseInt(s, 10) : null;
+}
+
+function jsonFields(body, fields) {
+  const out = {};
+  for (const f of fields) {
+    const v = body?.[f];
+    if (typeof v !== "string") continue;
+    try {
+      out[f] = JSON.parse(v);
+    } catch {
+      throw new ValidationError(`${f} invalide (JSON)`, { code: "invalid_json_field", params: { field: f } });
+    }
+  }
+  return out;
+}
+
+app.post("/distribution/import-file", uploadFile, async (req, res) => {
+  const startedAt = Date.now();
+  try {
+    const userEmail = (req.body?.userEmail || "").trim();
+    const siteDomain = (req.body?.siteDomain || "").trim();
+    if (!userEmail) throw new ValidationError("userEmail requis", { code: "user_email_required" });
+
+    const sd = assertSiteDomain(siteDomain);
+
+    const f = req.file;
+    if (!f) throw new ValidationError("Fichier manquant (field 'file')", { code: "file_required" });
+
+    const mapping = await resolveColumnMapping(sd, req.body);
+    const parsed = await parseImportFile(f, fileParseOptions(req.body, mapping));
+    if (!parsed) throw new ValidationError("Format non supporté (csv/xlsx)", { code: "unsupported_format" });
+
+    const { defaultCountry } = siteConfig(sd);
+    const client = await adminClient(sd);
+    const userId = await getUserId(client, sd, userEmail);
+    const ab = await getAddressBook(client, sd, userId);
+    const existingAll = uniqueAddresses(ab);
+    const byId = new Map(existingAll.map(a => [a.AddressId, a]));
+    const matcher = addressMatcher(existingAll, req.body?.matching);
+
+    const lines = [];
+    const lineOf = new Map();
+    const invalid = [];
+    const corrected = [];
+    const toCreate = [];
+    const pending = addressMatcher([], req.body?.matching);
+    const groupOf = new Map();
+    let zeroQtyCount = 0;
+
+    const addToLine = (addressId, address, status, matchScore, qty, row) => {
+      let line = lineOf.get(addressId);
+      if (!line) {
+        line = { addressId, label: addressLabel(address), qty: 0, status, matchScore, rows: [] };
+        lineOf.set(addressId, line);
+        lines.push(line);
+      }
+      line.qty += qty;
+      line.rows.push(row);
+    };
+
+    for (const { rowNumber: row, raw } of parsed.records) {
+      const rawQty = pick(raw, columnKeys("Qty", mapping));
+      const qty = parseQty(rawQty);
+      if (qty === null) {
+        invalid.push({ row, reason: "invalid_fields", issues: [{ field: "Qty", code: "invalid_format", value: rawQty, expected: "expected_qty" }], raw });
+        continue;
+      }
+      if (qty === 0) {
+        zeroQtyCount++;
+        continue;
+      }
+
+      // 1) AddressId connu
+      const addressId = String(pick(raw, columnKeys("AddressId", mapping)) || "").trim();
+      if (addressId && byId.has(addressId)) {
+        addToLine(addressId, byId.get(addressId), "existing", null, qty, row);
+        continue;
+      }
+
+      const { addr, issues, warnings } = checkImportedAddress(raw, mapping, defaultCountry);
+      if (issues.length) {
+        if (addressId) issues.unshift({ field: "AddressId", code: "not_found", value: addressId });
+        invalid.push({ row, reason: "invalid_fields", issues, raw });
+        continue;
+      }
+      if (warnings.length) corrected.push({ row, warnings });
+      delete addr.AddressId;
+      if (!addr.Business) addr.Business = "Distribution";
+
+      // 2) adresse déjà dans l'addressbook
+      const match = matcher.find(addr);
+      if (match) {
+        addToLine(match.address.AddressId, match.address, "existing", match.score, qty, row);
+        continue;
+      }
+
+      // 3) à créer : deux lignes pour la même adresse manquante => une seule création
+      const same = pending.find(addr);
+      let group = same && groupOf.get(same.address);
+      if (!group) {
+        group = { addr, line: { addressId: null, label: addressLabel(addr), qty: 0, status: "pending", matchScore: null, rows: [] } };
+        pending.add(addr);
+        groupOf.set(addr, group);
+        toCreate.push(group);
+        lines.push(group.line);
+      }
+      group.line.qty += qty;
+      group.line.rows.push(row);
+    }
+
+    const results = await createAddresses(client, sd, userId, toCreate.map(g => g.addr), {
+      before: existingAll,
+      template: ab?.PreferredAddress,
+      concurrency: batchConcurrency(req.body?.concurrency)
+    });
+
+    toCreate.forEach((g, k) => {
+      const r = results[k];
+      g.line.addressId = r.addressId;
+      g.line.status = r.state;
+      if (r.state === "failed") g.line.error = r.message;
+    });
+
+    const unresolved = lines.filter(l => !l.addressId);
+    if (toCreate.length) auditCreations("distribution/import-file", { userEmail, sd, userId, groups: toCreate, results }, startedAt);
+    const summary = {
+      source: parsed.meta,
+      totalRows: parsed.records.length,
+      lineCount: lines.length,
+      totalQty: lines.reduce((sum, l) => sum + l.qty, 0),
+      createdCount: results.filter(r => r.state !== "failed").length,
+      unresolvedCount: unresolved.length,
+      zeroQtyCount,
+      invalidCount: invalid.length,
+      invalid: invalid.map(p => localizeRejected(requestLang(req), p)),
+      correctedCount: corrected.length,
+      corrected,
+      lines
+    };
+
+    if (!isTruthy(req.body?.addToCart)) {
+      return res.json({ ok: unresolved.length === 0 && invalid.length === 0 && lines.length > 0, ...summary });
+    }
+
+    // panier : tout ou rien (les adresses créées restent dans l'addressbook)
+    if (unresolved.length || invalid.length || !lines.length) {
+      throw new ValidationError("Lignes invalides ou adresses non résolues : rien n'a été ajouté au panier", {
+        code: "import_incomplete",
+        details: summary
+      });
+    }
+
+    const input = {
+      ...req.body,
+      ...jsonFields(req.body, DISTRIBUTION_JSON_FIELDS),
+      listId: undefined,
+      lines: lines.map(l => ({ addressId: l.addressId, qty: l.qty, label: l.label }))
+    };
+    return await handleDistribution(req, res, input, { import: summary });
+  } catch (e) {
+    return sendError(req, res, e);
+  }
+});
+
+/**
+ * Export CSV
+ */
+app.get("/addressbook/export.csv", async (req, res) => {
+  try {
+    const { userEmail, siteDomain } = req.query || {};
+    if (!userEmail) throw new ValidationError("userEmail requis", { code: "user_email_required" });
+
+    const sd = assertSiteDomain(siteDomain);
+
+    const client = await adminClient(sd);
+
+    const userId = await getUserId(client, sd, userEmail);
+    const ab = await getAddressBook(client, sd, userId);
+
+    const rows = exportRows(ab);
+
+    const headers = [
+      "AddressId","Business","FirstName","LastName","Title",
+      "Address1","Address2","Address3","City","StateProvince",
+      "Postal","Country","Phone","Email","IsPreferred","Qty"
+    ];
+
+    const csv = toCsv(rows, headers, exportHeaderLabels(req));
+
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader("Content-Disposition", 'attachment; filename="addressbook.csv"');
+    return res.send(csv);
+  } catch (e) {
+    return sendError(req, res, e);
+  }
+});
+
+/**
+ * Export XLSX (ExcelJS) — on garde comme avant (fonctionnel)
+ * ?template=1 => modèle de distribution pré-rempli avec l'addressbook (voir addressWorkbook)
+ */
+app.get("/addressbook/export.xlsx", async (req, res) => {
+  try {
+    const { userEmail, siteDomain } = req.query || {};
+    if (!userEmail) throw new ValidationError("userEmail requis", { code: "user_email_required" });
+    const sd = assertSiteDomain(siteDomain);
+
+    const client = await adminClient(sd);
+
+    const userId = await getUserId(client, sd, userEmail);
+    const ab = await getAddressBook(client, sd, userId);
+
+    const rows = exportRows(ab);
+    const lang = requestLang(req);
+    const template = isTruthy(req.query?.template);
+    // le modèle est toujours localisé : ses instructions citent les en-têtes
+    const labels = template ? EXPORT_HEADERS[lang] : exportHeaderLabels(req);
+
+    const wb = await addressWorkbook(rows, { labels, template, lang });
+
+    res.setHeader("Content-Type", "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
+    res.setHeader("Content-Disposition", `attachment; filename="${template ? "distribution-template" : "addressbook"}.xlsx"`);
+
+    await wb.xlsx.write(res);
+    res.end();
+  } catch (e) {
+    return sendError(req, res, e);
+  }
+});
+
+/**
+ * Modèle de distribution vierge (nouveaux utilisateurs, pas d'appel Pressero)
+ */
+app.get("/addressbook/template.xlsx", async (req, res) => {
+  try {
+    const lang = requestLang(req);
+    const wb = await addressWorkbook([], { labels: EXPORT_HEADERS[lang], template: true, lang });
+
+    res.setHeader("Content-Type", "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
+    res.setHeader("Content-Disposition", 'attachment; filename="distribution-template.xlsx"');
+
+    await wb.xlsx.write(res);
+    res.end();
+  } catch (e) {
+    return sendError(req, res, e);
+  }
+});
+
+/**
+ * Add to cart distribution (1 adresse = 1 item)
+ * - résultat ligne par ligne (une ligne en erreur n'arrête plus le lot)
+ * - idempotencyKey (header Idempotency-Key ou body) : un re-submit ne recrée pas les items,
+ *   et un run partiel reprend là où il s'est arrêté
+ * - ligne sans réponse (timeout, connexion coupée, crash en cours d'envoi) : état "unknown",
+ *   rapprochée des items du panier à la reprise au lieu d'être renvoyée (pas de doublon)
+ * - mode "replace" : les items "Distribution" déjà au panier pour ce produit sont retirés
+ *   une fois la nouvelle distribution entièrement posée (1 seule distribution par produit)
+ */
+const DISTRIBUTION_ITEM_NAME = "Distribution";
+
+const distributionRuns = jsonStore("distribution-runs");
+const activeRuns = new Set();
+const RUN_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+function runScope(siteDomain, userEmail, key) {
+  return `${siteDomain}|${norm(userEmail)}|${key}`;
+}
+
+function distributionFingerprint({ mode, productKey, quantities, urlName, shippingMethod, pricingOptions, otherQuantities, lines }) {
+  // productKey / quantities absents => même empreinte qu'avant (JSON.stringify ignore undefined)
+  const body = JSON.stringify({
+    mode: mode || "append",
+    productKey,
+    quantities,
+    urlName,
+    shippingMethod,
+    pricingOptions,
+    otherQuantities: otherQuantities || [],
+    lines: lines.map(l => [l.addressId, parseInt(l.qty, 10) || 0, l.label || "", ...(l.shippingMethod ? [l.shippingMethod] : [])])
+  });
+  return crypto.createHash("sha256").update(body).digest("hex");
+}
+
+function pruneRuns(runs) {
+  const limit = Date.now() - RUN_TTL_MS;
+  for (const [k, r] of Object.entries(runs)) {
+    if (new Date(r.updatedAt).getTime() < limit) delete runs[k];
+  }
+}
+
+function summarizeRun(run) {
+  const results = run.lines.map(l => ({
+    index: l.index,
+    addressId: l.addressId,
+    qty: l.qty,
+    state: l.state,
+    ok: l.state === "added" || l.state === "warning",
+    status: l.status ?? null,
+    ...(l.state === "warning" ? { warning: l.message } : {}),
+    ...(l.state === "failed" || l.state === "unknown" ? { error: l.message, code: l.code ?? null } : {}),
+    ...(l.reconciled ? { reconciled: true } : {})
+  }));
+
+  const added = results.filter(r => r.ok).length;
+  const warnings = results.filter(r => r.state === "warning").length;
+  const failed = results.filter(r => r.state === "failed").length;
+  const pending = results.filter(r => r.state === "pending").length;
+  const unknown = results.filter(r => r.state === "unknown").length;
+
+  const replaces = run.replaces || [];
+  const replaced = run.mode === "replace"
+    ? {
+        found: replaces.length,
+        removed: replaces.filter(r => r.state === "removed").length,
+        failed: replaces.filter(r => r.state === "failed").length,
+        pending: replaces.filter(r => r.state === "pending").length
+      }
+    : undefined;
+
+  return {
+    ok: failed === 0 && pending === 0 && unknown === 0 && (!replaced || replaced.removed === replaced.found),
+    idempotencyKey: run.key || null,
+    runStatus: run.status,
+    mode: run.mode || "append",
+    cartId: run.cartId,
+    added,
+    warnings,
+    failed,
+    pending,
+    unknown,
+    ...(replaced ? { replaced } : {}),
+    results
+  };
+}
+
+function distributionItemKey(shipTo, notes) {
+  return `${shipTo || ""}\u0000${notes || ""}`;
+}
+
+/**
+ * Lignes "unknown" (envoyées sans réponse, ou en vol lors d'un crash) : avant tout renvoi,
+ * on cherche leur item au panier (ShipTo + ItemName + Notes). Les items des lignes déjà
+ * posées et ceux présents au panier avant le run (preexisting, replaces) ne peuvent pas servir :
+ * les libellés du widget étant identiques d'une soumission à l'autre, ils matcheraient à tort.
+ * Trouvée => "added" ; sinon => "pending" (renvoyée).
+ */
+async function reconcileUnknownLines(client, sd, userId, run) {
+  const cart = await getCart(client, sd, userId);
+  const before = new Set([...(run.preexisting || []), ...(run.replaces || []).map(r => r.itemId)]);
+
+  const available = new Map();
+  for (const it of findDistributionItems(cart, run.productId)) {
+    if (before.has(it.Id)) continue;
+    const key = distributionItemKey(it.ShipTo, it.Notes);
+    available.set(key, (available.get(key) || 0) + 1);
+  }
+
+  const take = key => {
+    const n = available.get(key) || 0;
+    if (n) available.set(key, n - 1);
+    return n > 0;
+  };
+
+  for (const line of run.lines) {
+    if (line.state === "added" || line.state === "warning") take(distributionItemKey(line.addressId, line.label));
+  }
+  for (const line of run.lines) {
+    if (line.state !== "unknown") continue;
+    if (take(distributionItemKey(line.addressId, line.label))) {
+      line.state = "added";
+      line.reconciled = true;
+    } else {
+      line.state = "pending";
+    }
+  }
+}
+
+// items "Distribution" de ce produit déjà présents au panier
+function findDistributionItems(cart, productId) {
+  return (cart?.Items || []).filter(it =>
+    it?.Id && it.ProductId === productId && it.ItemName === DISTRIBUTION_ITEM_NAME
+  );
+}
+
+async function addDistributionLine(client, sd, cartId, userId, payload) {
+  try {
+    const r = await client.post(
+      `/api/cart/${sd}/${cartId}/item/`,
+      payload,
+      { params: { userId } }
+    );
+    return { state: "added", status: r.status };
+  } catch (err) {
+    const status = err?.response?.status || null;
+    const msg = err?.response?.data?.Message || err?.response?.data?.message || err?.message;
+
+    if (status === 400 && msg === "ReOrderFullSuccess_PriceWarning") {
+      return { state: "warning", status, message: msg };
+    }
+    // pas de réponse (timeout, connexion coupée) : Pressero a peut-être créé l'item
+    if (!err?.response) {
+      return { state: "unknown", status: null, message: msg || "no_response", code: toAppError(err).code };
+    }
+    return { state: "failed", status, message: msg || "unknown_error", code: toAppError(err).code };
+  }
+}
+
+/**
+ * Produit de la distribution :
+ * - productKey => urlName / shippingMethod / quantités depuis le registre des sites
+ *   (quantities: ["line", "total", "pages"] ; "total" = somme des lignes, les autres noms viennent de body.quantities)
+ * - sinon urlName + shippingMethod + otherQuantities bruts (refusé si le site restreint ses produits)
+ * - productKey absent du registre sur un site sans produits déclarés (pas de sites.json) :
+ *   on retombe sur urlName / shippingMethod / otherQuantities envoyés avec (le widget les envoie toujours)
+ * Produit du registre : sa méthode de livraison prime sur celle du body (qui sert de secours).
+ * Renvoie { urlName, shippingMethod, pricingOptions, quantityLayout } ou { error } (ValidationError).
+ */
+function productError(code, params) {
+  return new ValidationError(t(DEFAULT_LANG, code, params), { code, params });
+}
+
+function resolveDistributionProduct(site, body) {
+  const { productKey, urlName, shippingMethod, pricingOptions, otherQuantities, quantities, lines } = body;
+  const restricted = Object.keys(site.products).length > 0;
+
+  let product = null;
+  if (productKey && (restricted || !urlName)) {
+    product = site.products[productKey];
+    if (!product) return { error: productError("unknown_product_key", { siteDomain: site.siteDomain, productKey }) };
+  } else if (!urlName) {
+    return { error: productError("product_required") };
+  } else if (restricted) {
+    product = Object.values(site.products).find(p => p.urlName === urlName);
+    if (!product) return { error: productError("product_not_allowed", { siteDomain: site.siteDomain, urlName }) };
+  }
+
+  const resolved = {
+    urlName: product?.urlName || urlName,
+    shippingMethod: product?.shippingMethod || shippingMethod || site.defaultShippingMethod,
+    pricingOptions: Array.isArray(pricingOptions) && pricingOptions.length ? pricingOptions : product?.pricingOptions
+  };
+  if (!resolved.shippingMethod) return { error: productError("shipping_method_required") };
+  if (!Array.isArray(resolved.pricingOptions) || !resolved.pricingOptions.length) return { error: productError("pricing_options_required") };
+
+  if (!product?.quantities) {
+    return { ...resolved, quantityLayout: ["line", ...(Array.isArray(otherQuantities) ? otherQuantities : [])] };
+  }
+
+  const total = lines.reduce((s, l) => s + (parseInt(l?.qty, 10) || 0), 0);
+  const layout = [];
+  for (const slot of product.quantities) {
+    if (slot === "line") layout.push("line");
+    else if (slot === "total") layout.push(total);
+    else {
+      const v = Number(quantities?.[slot]);
+      if (!Number.isFinite(v) || v <= 0) return { error: productError("quantity_required", { slot, product: productKey || urlName }) };
+      layout.push(v);
+    }
+  }
+  return { ...resolved, quantityLayout: layout };
+}
+
+// lignes (quantité > 0) dont l'addressId n'est plus dans l'addressbook
+function missingAddressLines(lines, addresses) {
+  const ids = new Set(addresses.map(a => a.AddressId));
+  return lines
+    .map((row, i) => ({ index: i + 1, addressId: row.addressId, label: row.label || "", code: "address_not_found" }))
+    .filter((l, i) => parseInt(lines[i].qty, 10) > 0 && !ids.has(l.addressId));
+}
+
+// ligne (quantité > 0) qui impose sa propre méthode de livraison
+function hasShippingOverride(row) {
+  return parseInt(row.qty, 10) > 0 && !!String(row.shippingMethod || "").trim();
+}
+
+// lignes dont la méthode imposée (lines[].shippingMethod) est inconnue ou fermée au pays de l'adresse
+// => [{ index, addressId, shippingMethod, country, code }] ; la méthode de la distribution n'est pas contrôlée
+function validateLineShipping(lines, methods, addresses) {
+  const countryOf = new Map(addresses.map(a => [a.AddressId, String(a.Country || "").toUpperCase()]));
+  const errors = [];
+
+  lines.forEach((row, i) => {
+    if (!hasShippingOverride(row)) return;
+    const id = row.shippingMethod;
+    const err = { index: i + 1, addressId: row.addressId, shippingMethod: id };
+
+    const country = countryOf.get(row.addressId);
+    const method = findShippingMethod(methods, id);
+    if (!method) return errors.push({ ...err, country, code: "unknown_shipping_method" });
+    if (!shippingAllowed(method, country)) return errors.push({ ...err, country, code: "shipping_not_available_for_country" });
+  });
+
+  return errors;
+}
+
+app.post("/add-to-cart-distribution", (req, res) => handleDistribution(req, res, req.body || {}));
+
+// flux commun de la distribution : lignes JSON, liste enregistrée (listId) ou fichier importé
+// (extra est ajouté à toutes les réponses, ex. le résumé de l'import)
+async function handleDistribution(req, res, input, extra = {}) {
+  const startedAt = Date.now();
+  let locked = null;
+
+  // chaque soumission est auditée, quelle que soit son issue :
+  // outcome = "rejected" | "replayed" | "cancelled" (en file) | "executed"
+  const trail = { userEmail: input.userEmail, siteDomain: input.siteDomain, listId: input.listId || undefined };
+  let audited = false;
+  const auditSubmission = (entry, since = startedAt) => {
+    audited = true;
+    audit("cart.distribution", { ...trail, ...entry }, since);
+  };
+
+  try {
+    const {
+      userEmail,
+      siteDomain,
+      listId,
+      mode = "append"
+    } = input;
+
+    if (!userEmail || !siteDomain)
+      throw new ValidationError("userEmail, siteDomain requis", { code: "user_site_required" });
+
+    if (mode !== "append" && mode !== "replace")
+      throw new ValidationError("mode invalide (append/replace)", { code: "invalid_mode" });
+
+    const sd = assertSiteDomain(siteDomain);
+    trail.siteDomain = sd;
+
+    // liste enregistrée (listId) à la place de lines
+    const saved = listId ? await findDistributionList(sd, userEmail, listId) : null;
+    if (listId && !saved) throw new NotFoundError("Liste de distribution introuvable", { code: "list_not_found" });
+
+    // mêmes contrôles que les listes enregistrées (addressId requis, qty entier >= 0)
+    const lines = saved ? saved.lines : assertListLines(input.lines);
+
+    const body = { ...input, lines };
+    const product = resolveDistributionProduct(siteConfig(sd), body);
+    if (product.error) throw product.error;
+    const { urlName, shippingMethod, pricingOptions, quantityLayout } = product;
+
+    const idempotencyKey = String(req.get("Idempotency-Key") || input.idempotencyKey || "").trim();
+    trail.idempotencyKey = idempotencyKey || null;
+    trail.urlName = urlName;
+    const fingerprint = distributionFingerprint(body);
+    const runs = await distributionRuns.load();
+
+    const scope = idempotencyKey ? runScope(sd, userEmail, idempotencyKey) : null;
+    let run = null;
+    if (scope) {
+      if (activeRuns.has(scope))
+        throw new ConflictError("Distribution déjà en cours pour cette idempotencyKey", { code: "distribution_in_progress" });
+
+      run = runs[scope] || null;
+      if (run && run.fingerprint !== fingerprint)
+        throw new ConflictError("idempotencyKey déjà utilisée avec un contenu différent", { code: "idempotency_key_reused" });
+
+      if (run && run.status === "completed") {
+        auditSubmission({ ok: true, outcome: "replayed", runStatus: run.status, cartId: run.cartId });
+        return res.json({ ...summarizeRun(run), replayed: true, ...extra });
+      }
+
+      activeRuns.add(scope);
+      locked = scope;
+    }
+
+    const client = await adminClient(sd);
+
+    const userId = await getUserId(client, sd, userEmail);
+    const cart = await getCart(client, sd, userId);
+    const cartId = cart.Id;
+    const productId = await resolveProductId(client, sd, urlName);
+
+    // adresses toujours présentes + méthodes imposées par ligne valides pour le pays de l'adresse,
+    // vérifié AVANT de poster quoi que ce soit
+    const addresses = uniqueAddresses(await getAddressBook(client, sd, userId));
+    const missing = missingAddressLines(lines, addresses);
+    if (missing.length)
+      throw new ValidationError("Adresses absentes de l'addressbook", { code: "addresses_not_found", details: { lines: missing } });
+
+    // méthodes de livraison consultées seulement si une ligne en impose une
+    const shippingErrors = lines.some(hasShippingOverride)
+      ? validateLineShipping(lines, await getShippingMethods(client, sd, userId), addresses)
+      : [];
+    if (shippingErrors.length)
+      throw new ValidationError("Méthode de livraison invalide pour certaines lignes", {
+        code: "invalid_shipping",
+        details: { lines: shippingErrors }
+      });
+
+    const resumed = !!run;
+    if (run && run.cartId !== cartId) {
+      throw new ConflictError("Le panier a changé depuis la première tentative, utiliser une nouvelle idempotencyKey", {
+        code: "cart_changed",
+        details: summarizeRun(run)
+      });
+    }
+
+    if (!run) {
+      run = {
+        key: idempotencyKey || null,
+        fingerprint,
+        userEmail,
+        siteDomain: sd,
+        cartId,
+        productId,
+        mode,
+        // capturés AVANT d'ajouter, quel que soit le mode : jamais rapprochés d'une ligne "unknown"
+        preexisting: findDistributionItems(cart, productId).map(it => it.Id),
+        // idem : à la reprise on ne retire jamais les items de ce run
+        replaces: mode === "replace"
+          ? findDistributionItems(cart, productId).map(it => ({ itemId: it.Id, state: "pending" }))
+          : [],
+        status: "running",
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString(),
+        lines: lines.map((row, i) => {
+          const qty = parseInt(row.qty, 10) || 0;
+          return {
+            index: i + 1,
+            addressId: row.addressId,
+            qty,
+            label: row.label || "",
+            shippingMethod: row.shippingMethod || null,
+            state: qty ? "pending" : "skipped"
+          };
+        })
+      };
+      if (scope) {
+        pruneRuns(runs);
+        runs[scope] = run;
+      }
+    }
+
+    // le verrou est rendu par le travail lui-même (il peut tourner en tâche de fond)
+    locked = null;
+
+    return respondWithJob(req, res, "add-to-cart-distribution", { userEmail, siteDomain: sd }, async ctx => {
+      const startedAt = Date.now();
+      let error = null;
+      try {
+        await executeDistributionRun(client, run, {
+          sd,
+          scope,
+          userId,
+          shippingMethod,
+          pricingOptions,
+          quantityLayout,
+          concurrency: batchConcurrency(input.concurrency),
+          ctx
+        });
+        return { ...summarizeRun(run), resumed, ...extra };
+      } catch (e) {
+        error = e.message;
+        throw e;
+      } finally {
+        if (scope) activeRuns.delete(scope);
+        auditSubmission({
+          ok: run.status === "completed",
+          outcome: "executed",
+          runStatus: run.status,
+          error,
+          idempotencyKey: run.key,
+          resumed,
+          mode: run.mode,
+          userId,
+          cartId: run.cartId,
+          productId: run.productId,
+          urlName,
+          shippingMethod,
+          quantities: quantityLayout,
+          lines: run.lines.map(({ index, addressId, qty, shippingMethod, state, status, message, durationMs }) =>
+            ({ index, addressId, qty, shippingMethod, state, status, message, durationMs })),
+          replaced: run.replaces
+        }, startedAt);
+      }
+    }, {
+      // annulée avant de démarrer : le finally ci-dessus ne tournera pas
+      onCancel: () => {
+        if (scope) activeRuns.delete(scope);
+        auditSubmission({ ok: false, outcome: "cancelled", runStatus: "cancelled", resumed, mode: run.mode, cartId: run.cartId });
+      }
+    });
+  } catch (e) {
+    if (!audited) auditSubmission({ ok: false, outcome: "rejected", error: e.message, code: toAppError(e).code });
+    return sendError(req, res, e, extra);
+  } finally {
+    if (locked) activeRuns.delete(locked);
+  }
 }
 
-async function createAddress(client, siteDomain, userId, addr, template) {
-  const payload = {
-    Business: addr.Business || template?.Business || "Distribution",
-    FirstName: addr.FirstName || template?.FirstName || "Client",
-    LastName: addr.LastName || template?.LastName || "Distribution",
-    Title: addr.Title || template?.Title || undefined,
-    Address1: addr.Address1,
-    Address2: addr.Address2 || undefined,
-    Address3: addr.Address3 || undefined,
-    City: addr.City,
-    StateProvince: addr.StateProvince || template?.StateProvince || "NA",
-    Postal: addr.Postal,
-    Country: (addr.Country || template?.Country || "FR").toUpperCase(),
-    Phone: addr.Phone || template?.Phone || undefined,
-    Email: addr.Email || template?.Email || undefined
-  };
+async function executeDistributionRun(client, run, { sd, scope, userId, shippingMethod, pricingOptions, quantityLayout, concurrency, ctx }) {
+  const { cartId, productId } = run;
 
-  await client.post(`/api/site/${siteDomain}/Addressbook/${userId}/`, payload);
+  run.status = "running";
+  if (scope) await distributionRuns.save();
 
-  // Re-fetch pour retrouver l'AddressId exact
-  const ab2 = await getAddressBook(client, siteDomain, userId);
-  const all = [ab2?.PreferredAddress, ...(ab2?.Addresses || [])].filter(Boolean);
+  if (run.lines.some(l => l.state === "unknown")) {
+    await reconcileUnknownLines(client, sd, userId, run);
+    if (scope) await distributionRuns.save();
+  }
 
-  const key = sigNoBusiness(payload);
-  const found = all.find(a => sigNoBusiness(a) === key);
+  // déjà posé (run précédent) ou quantité nulle : on ne touche pas
+  const todo = run.lines.filter(l => l.state === "pending" || l.state === "failed");
+  ctx.progress({ total: todo.length, added: 0, warnings: 0, failed: 0, unknown: 0 });
 
-  return found?.AddressId || null;
-}
+  await runBatch(todo, async line => {
+    const payload = {
+      ProductId: productId,
+      ShipTo: line.addressId,
+      ShippingMethod: line.shippingMethod || shippingMethod,
+      PricingParameters: { Quantities: quantityLayout.map(q => q === "line" ? line.qty : q), Options: pricingOptions },
+      ItemName: DISTRIBUTION_ITEM_NAME,
+      Notes: line.label
+    };
 
-async function upsertAddress(client, siteDomain, userId, addr) {
-  const ab = await getAddressBook(client, siteDomain, userId);
-  const preferred = ab?.PreferredAddress || null;
+    // "unknown" persisté avant l'envoi : après un crash pendant l'appel, la ligne est
+    // rapprochée du panier au lieu d'être renvoyée à l'aveugle
+    line.state = "unknown";
+    if (scope) await distributionRuns.save();
 
-  const payload = {
-    Business: addr.Business || preferred?.Business || "Distribution",
-    FirstName: addr.FirstName || preferred?.FirstName || "Client",
-    LastName: addr.LastName || preferred?.LastName || "Distribution",
-    Title: addr.Title || preferred?.Title || undefined,
-    Address1: addr.Address1,
-    Address2: addr.Address2 || undefined,
-    Address3: addr.Address3 || undefined,
-    City: addr.City,
-    StateProvince: addr.StateProvince || preferred?.StateProvince || "NA",
-    Postal: addr.Postal,
-    Country: (addr.Country || preferred?.Country || "FR").toUpperCase(),
-    Phone: addr.Phone || preferred?.Phone || undefined,
-    Email: addr.Email || preferred?.Email || undefined
-  };
+    const lineStartedAt = Date.now();
+    const r = await addDistributionLine(client, sd, cartId, userId, payload);
+    line.state = r.state;
+    line.status = r.status;
+    line.message = r.message;
+    line.code = r.code;
+    line.durationMs = Date.now() - lineStartedAt;
+    run.updatedAt = new Date().toISOString();
 
-  if (addr.AddressId) {
-    await client.put(
-      `/api/site/${siteDomain}/Addressbook/${userId}/`,
-      payload,
-      { params: { addressId: addr.AddressId } }
-    );
-    return { mode: "updated", addressId: addr.AddressId };
+    // on persiste après chaque ligne : un crash laisse un run reprenable
+    if (scope) await distributionRuns.save();
+    return r.state;
+  }, {
+    concurrency,
+    shouldStop: ctx.cancelled,
+    onItem: state => ctx.increment(state === "warning" ? "warnings" : state)
+  });
+
+  const linesOk = run.lines.every(l => l.state !== "failed" && l.state !== "pending" && l.state !== "unknown");
+
+  // on ne retire l'ancienne distribution que si la nouvelle est complète
+  if (linesOk) {
+    for (const old of run.replaces || []) {
+      if (old.state === "removed") continue;
+      try {
+        await removeCartItem(client, sd, cartId, userId, old.itemId);
+        old.state = "removed";
+      } catch (err) {
+        if (err?.response?.status === 404) {
+          old.state = "removed";
+        } else {
+          old.state = "failed";
+          old.status = err?.response?.status || null;
+          old.message = err?.response?.data?.Message || err?.message || "unknown_error";
+        }
+      }
+    }
   }
 
-  const createdId = await createAddress(client, siteDomain, userId, payload, preferred);
-  return { mode: "created", addressId: createdId };
+  const replacesOk = (run.replaces || []).every(r => r.state === "removed");
+  run.status = linesOk && replacesOk ? "completed" : "partial";
+  run.updatedAt = new Date().toISOString();
+  if (scope) await distributionRuns.save();
+
+  return run;
 }
 
 /**
- * -------------------- CSV export helpers --------------------
+ * État d'un run de distribution (idempotencyKey)
  */
-function csvEscape(v) {
-  const s = (v ?? "").toString();
-  if (/[",\n]/.test(s)) return `"${s.replace(/"/g, '""')}"`;
-  return s;
-}
+app.get("/add-to-cart-distribution/:key", async (req, res) => {
+  try {
+    const { userEmail, siteDomain } = req.query || {};
+    if (!userEmail) throw new ValidationError("userEmail requis", { code: "user_email_required" });
+    const sd = assertSiteDomain(siteDomain);
 
-function toCsv(rows, headers) {
-  const head = headers.join(",");
-  const lines = rows.map(r => headers.map(h => csvEscape(r[h])).join(","));
-  return [head, ...lines].join("\n");
-}
+    const runs = await distributionRuns.load();
+    const run = runs[runScope(sd, userEmail, req.params.key)];
+    if (!run) throw new NotFoundError("Run introuvable", { code: "run_not_found" });
 
-/**
- * -------------------- ROUTES --------------------
- */
-app.get("/health", (req, res) => res.json({ ok: true }));
+    return res.json(summarizeRun(run));
+  } catch (e) {
+    return sendError(req, res, e);
+  }
+});
 
 /**
- * Addressbook list
+ * Méthodes de livraison disponibles
+ * body: { userEmail, siteDomain, addressId?, country? }
+ * addressId => filtré sur le pays de cette adresse ; country => sur ce pays ; sinon toutes.
  */
-app.post("/addressbook/list", async (req, res) => {
+app.post("/shipping-methods", async (req, res) => {
   try {
-    const { userEmail, siteDomain } = req.body || {};
-    if (!userEmail) return res.status(400).json({ error: "userEmail requis" });
+    const { userEmail, siteDomain, addressId } = req.body || {};
+    if (!userEmail) throw new ValidationError("userEmail requis", { code: "user_email_required" });
 
     const sd = assertSiteDomain(siteDomain);
-
-    const token = await authenticate();
-    const client = api(token);
-
+    const client = await adminClient(sd);
     const userId = await getUserId(client, sd, userEmail);
-    const ab = await getAddressBook(client, sd, userId);
-
-    const preferred = ab?.PreferredAddress || null;
-    const addresses = ab?.Addresses || [];
 
-    // dédoublonnage par AddressId
-    const map = new Map();
-    for (const a of [preferred, ...addresses].filter(Boolean)) {
-      const id = a?.AddressId;
-      if (id && !map.has(id)) map.set(id, a);
+    let country = req.body?.country ? String(req.body.country).trim().toUpperCase() : null;
+    if (addressId) {
+      const address = uniqueAddresses(await getAddressBook(client, sd, userId)).find(a => a.AddressId === addressId);
+      if (!address) throw new NotFoundError("Adresse introuvable", { code: "address_not_found" });
+      country = String(address.Country || "").toUpperCase();
     }
 
+    const methods = await getShippingMethods(client, sd, userId);
+    const defaultId = siteConfig(sd).defaultShippingMethod;
+
     return res.json({
       ok: true,
-      preferredId: preferred?.AddressId || null,
-      addresses: [...map.values()]
+      country,
+      shippingMethods: methods
+        .filter(m => !country || shippingAllowed(m, country))
+        .map(m => ({ ...m, isDefault: !!defaultId && String(m.id).toLowerCase() === defaultId.toLowerCase() }))
     });
   } catch (e) {
-    console.error(e);
-    return res.status(500).json({ error: e.message || "Erreur" });
+    return sendError(req, res, e);
   }
 });
 
 /**
- * Import file (CSV/XLSX)
- * Objectif: update si AddressId, sinon CREATE,
- * MAIS: skip si (sans AddressId) l'adresse existe déjà dans l'addressbook (signature sans business)
- * + dédoublonnage interne du fichier
+ * Devis de la distribution avant ajout au panier
+ * body: mêmes champs que /add-to-cart-distribution (productKey ou urlName, pricingOptions,
+ *       quantities / otherQuantities, lines) — rien n'est ajouté au panier.
+ * Un seul calcul de prix par quantité distincte : les lignes de même quantité ont le même prix.
  */
-app.post("/addressbook/import-file", upload.single("file"), async (req, res) => {
+app.post("/add-to-cart-distribution/preview", async (req, res) => {
   try {
-    const userEmail = (req.body?.userEmail || "").trim();
-    const siteDomain = (req.body?.siteDomain || "").trim();
-    if (!userEmail) return res.status(400).json({ error: "userEmail requis" });
-
-    const sd = assertSiteDomain(siteDomain);
+    const { userEmail, siteDomain, lines } = req.body || {};
+    if (!userEmail || !siteDomain)
+      throw new ValidationError("userEmail, siteDomain requis", { code: "user_site_required" });
 
-    const f = req.file;
-    if (!f) return res.status(400).json({ error: "Fichier manquant (field 'file')" });
-
-    const name = (f.originalname || "file").toLowerCase();
-    const ext = name.split(".").pop();
-
-    let addresses = [];
-    if (ext === "csv") addresses = await parseCsvBuffer(f.buffer);
-    else if (ext === "xlsx" || ext === "xls") addresses = await parseXlsxBuffer(f.buffer);
-    else return res.status(400).json({ error: "Format non supporté (csv/xlsx)" });
+    if (!Array.isArray(lines) || !lines.length)
+      throw new ValidationError("lines manquant", { code: "lines_required" });
 
-    if (!addresses.length) {
-      return res.status(400).json({ error: "Aucune ligne valide trouvée dans le fichier." });
-    }
+    const sd = assertSiteDomain(siteDomain);
+    const product = resolveDistributionProduct(siteConfig(sd), req.body);
+    if (product.error) throw product.error;
+    const { urlName, pricingOptions, quantityLayout } = product;
 
-    const token = await authenticate();
-    const client = api(token);
+    const client = await adminClient(sd);
     const userId = await getUserId(client, sd, userEmail);
+    const productId = await resolveProductId(client, sd, urlName);
 
-    // signatures existantes dans l'addressbook => SKIP des créations en doublon
-    const abExisting = await getAddressBook(client, sd, userId);
-    const existingAll = [abExisting?.PreferredAddress, ...(abExisting?.Addresses || [])].filter(Boolean);
-    const existingSig = new Set(existingAll.map(sigNoBusiness));
-
-    // dédoublonnage interne du fichier import
-    const seen = new Set();
-    const unique = [];
-    for (const a of addresses) {
-      const key = a.AddressId ? `id:${a.AddressId}` : `k:${sigNoBusiness(a)}`;
-      if (seen.has(key)) continue;
-      seen.add(key);
-      unique.push(a);
-    }
-
-    let createdCount = 0;
-    let updatedCount = 0;
-    let skippedCount = 0;
-
-    const skipped = [];
-    const errors = [];
-
-    for (let i = 0; i < unique.length; i++) {
-      const addr = unique[i];
+    const rows = lines.map((row, i) => ({
+      index: i + 1,
+      addressId: row.addressId,
+      label: row.label || "",
+      qty: parseInt(row.qty, 10) || 0
+    }));
 
+    const qtys = [...new Set(rows.filter(r => r.qty > 0).map(r => r.qty))];
+    const quotes = await runBatch(qtys, async qty => {
+      const params = { Quantities: quantityLayout.map(q => q === "line" ? qty : q), Options: pricingOptions };
       try {
-        // si pas d'AddressId, on SKIP si déjà existant (signature sans business)
-        if (!addr.AddressId) {
-          const s = sigNoBusiness(addr);
-          if (existingSig.has(s)) {
-            skippedCount++;
-            skipped.push({
-              index: i + 1,
-              address: `${addr.Address1} / ${addr.Postal} / ${addr.City}`,
-              reason: "duplicate_in_addressbook"
-            });
-            continue;
-          }
-        }
-
-        const r = await upsertAddress(client, sd, userId, addr);
-
-        if (r.mode === "updated") {
-          updatedCount++;
-        } else {
-          createdCount++;
-          // important: dès qu'on crée, on ajoute la signature pour éviter doublons dans la même run
-          existingSig.add(sigNoBusiness(addr));
-        }
+        return { state: "priced", ...(await getProductPrice(client, sd, productId, userId, params)) };
       } catch (e) {
-        errors.push({
-          index: i + 1,
-          address: `${addr.Address1} / ${addr.Postal} / ${addr.City}`,
-          message: e?.response?.data?.Message || e?.message || "unknown_error",
-          status: e?.response?.status || null
-        });
+        return { state: "failed", ...upstreamError(e) };
       }
-    }
+    }, { concurrency: batchConcurrency(req.body?.concurrency) });
+    const quoteOf = new Map(qtys.map((q, i) => [q, quotes[i]]));
+
+    const results = rows.map(r => {
+      if (r.qty <= 0) return { ...r, state: "skipped", price: 0, unitPrice: null };
+      const q = quoteOf.get(r.qty);
+      if (q.state === "failed") return { ...r, state: "failed", price: null, unitPrice: null, status: q.status, message: q.message };
+      return { ...r, state: "priced", price: q.price, unitPrice: q.unitPrice };
+    });
+
+    const failedCount = results.filter(r => r.state === "failed").length;
+    const total = results.reduce((sum, r) => sum + (r.price || 0), 0);
 
     return res.json({
-      ok: errors.length === 0,
-      totalParsed: addresses.length,
-      totalImported: unique.length,
-      createdCount,
-      updatedCount,
-      skippedCount,
-      errorCount: errors.length,
-      skipped,
-      errors
+      ok: failedCount === 0,
+      urlName,
+      currency: quotes.find(q => q.currency)?.currency || null,
+      // palier appliqué : quantité globale de la distribution + vecteur Quantities envoyé ("line" = quantité de la ligne)
+      tier: {
+        globalQuantity: rows.reduce((sum, r) => sum + r.qty, 0),
+        quantities: quantityLayout
+      },
+      // total partiel si des lignes n'ont pas pu être chiffrées (ok=false)
+      total: Math.round(total * 100) / 100,
+      pricedCount: results.filter(r => r.state === "priced").length,
+      failedCount,
+      lines: results
     });
   } catch (e) {
-    console.error(e);
-    return res.status(500).json({ error: e.message || "Erreur import-file" });
+    return sendError(req, res, e);
   }
 });
 
 /**
- * Validate addresses for distribution list
- * - merge duplicates
- * - ensure each address exists in addressbook (create if missing)
- * - return addressId per line
+ * Listes de distribution enregistrées (modèles réutilisables)
+ * Par utilisateur + site : { id, name, lines: [{ addressId, qty, label, shippingMethod? }] }
+ * /add-to-cart-distribution accepte listId à la place de lines.
  */
-function mergeDuplicates(list) {
-  if (!Array.isArray(list)) return [];
-  const map = new Map();
-  for (const r of list) {
-    const address = (r?.address || r?.Address1 || "").toString().trim();
-    const zip = (r?.zip || r?.Postal || "").toString().trim();
-    const city = (r?.city || r?.City || "").toString().trim();
-    const country = (r?.country || r?.Country || "FR").toString().trim().toUpperCase();
-    const qty = Number(r?.qty || r?.quantity || 0) || 0;
-    if (!address || !zip || !city || qty <= 0) continue;
+const distributionLists = jsonStore("distribution-lists");
+const DISTRIBUTION_LIST_MAX_LINES = 2000;
 
-    const key = `${norm(address)}|${norm(zip)}|${norm(city)}|${norm(country)}`;
-    const prev = map.get(key) || { address, zip, city, country, qty: 0 };
-    prev.qty += qty;
-    map.set(key, prev);
-  }
-  return [...map.values()];
+function listOwner(sd, userEmail) {
+  return `${sd}|${norm(userEmail)}`;
 }
 
-app.post("/validate-addresses", async (req, res) => {
-  try {
-    const { userEmail, siteDomain, distributionList } = req.body || {};
-    if (!userEmail) return res.status(400).json({ error: "userEmail requis" });
-
-    const sd = assertSiteDomain(siteDomain);
-    const list = mergeDuplicates(distributionList);
-    if (!list.length) return res.status(400).json({ error: "distributionList vide" });
-
-    const token = await authenticate();
-    const client = api(token);
+function assertListName(name) {
+  const n = String(name || "").trim();
+  if (!n || n.length > 100) throw new ValidationError("nom de liste invalide", { code: "list_name_invalid" });
+  return n;
+}
 
-    const userId = await getUserId(client, sd, userEmail);
-    const ab = await getAddressBook(client, sd, userId);
-    const preferred = ab?.PreferredAddress || null;
+function assertListLines(lines) {
+  if (!Array.isArray(lines) || !lines.length) throw new ValidationError("lines manquant", { code: "lines_required" });
+  if (lines.length > DISTRIBUTION_LIST_MAX_LINES)
+    throw new ValidationError(`lines: ${DISTRIBUTION_LIST_MAX_LINES} lignes maximum`, {
+      code: "too_many_rows",
+      params: { field: "lines", max: DISTRIBUTION_LIST_MAX_LINES }
+    });
 
-    const existingAll = [ab?.PreferredAddress, ...(ab?.Addresses || [])].filter(Boolean);
-    const existingSigToId = new Map();
-    for (const a of existingAll) {
-      if (a?.AddressId) existingSigToId.set(sigNoBusiness(a), a.AddressId);
-    }
+  return lines.map((row, i) => {
+    const addressId = String(row?.addressId || "").trim();
+    const qty = Number(row?.qty ?? 0);
+    if (!addressId) throw new ValidationError(`lines[${i}]: addressId requis`, { code: "line_address_id_required", params: { index: i } });
+    if (!Number.isInteger(qty) || qty < 0) throw new ValidationError(`lines[${i}]: qty invalide`, { code: "line_qty_invalid", params: { index: i } });
+    return {
+      addressId,
+      qty,
+      label: String(row?.label || ""),
+      ...(row?.shippingMethod ? { shippingMethod: String(row.shippingMethod) } : {})
+    };
+  });
+}
 
-    const validated = [];
+function listSummary(list) {
+  return {
+    id: list.id,
+    name: list.name,
+    lineCount: list.lines.length,
+    totalQty: list.lines.reduce((sum, l) => sum + l.qty, 0),
+    createdAt: list.createdAt,
+    updatedAt: list.updatedAt
+  };
+}
 
-    for (const row of list) {
-      const addr = {
-        Business: "Distribution",
-        Address1: row.address,
-        City: row.city,
-        Postal: row.zip,
-        Country: row.country || preferred?.Country || "FR"
-      };
+async function findDistributionList(sd, userEmail, id) {
+  const all = await distributionLists.load();
+  return all[listOwner(sd, userEmail)]?.[id] || null;
+}
 
-      const s = sigNoBusiness(addr);
-      let addressId = existingSigToId.get(s) || null;
+function nameTaken(lists, name, exceptId) {
+  return Object.values(lists).some(l => l.name === name && l.id !== exceptId);
+}
 
-      if (!addressId) {
-        addressId = await createAddress(client, sd, userId, addr, preferred);
-        if (addressId) existingSigToId.set(s, addressId);
-      }
+// "Trimestre (copie)", "Trimestre (copie 2)"…
+function copyName(lists, name) {
+  for (let n = 1; ; n++) {
+    const candidate = n === 1 ? `${name} (copie)` : `${name} (copie ${n})`;
+    if (!nameTaken(lists, candidate)) return candidate;
+  }
+}
 
-      if (!addressId) throw new Error(`Impossible de créer/trouver l'adresse: ${row.address} ${row.zip} ${row.city}`);
+app.get("/distribution-lists", async (req, res) => {
+  try {
+    const { userEmail, siteDomain } = req.query || {};
+    if (!userEmail) throw new ValidationError("userEmail requis", { code: "user_email_required" });
+    const sd = assertSiteDomain(siteDomain);
 
-      validated.push({ ...row, addressId });
-    }
+    const all = await distributionLists.load();
+    const lists = Object.values(all[listOwner(sd, userEmail)] || {})
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .map(listSummary);
 
-    return res.json({ ok: true, userId, validated });
+    return res.json({ ok: true, lists });
   } catch (e) {
-    console.error(e);
-    return res.status(500).json({ error: e.message || "Erreur" });
+    return sendError(req, res, e);
   }
 });
 
-/**
- * Export CSV
- */
-app.get("/addressbook/export.csv", async (req, res) => {
+// ?check=1 => chaque ligne indique si son addressId existe encore dans l'addressbook (exists)
+app.get("/distribution-lists/:id", async (req, res) => {
   try {
     const { userEmail, siteDomain } = req.query || {};
-    if (!userEmail) return res.status(400).send("userEmail requis");
-
+    if (!userEmail) throw new ValidationError("userEmail requis", { code: "user_email_required" });
     const sd = assertSiteDomain(siteDomain);
 
-    const token = await authenticate();
-    const client = api(token);
+    const list = await findDistributionList(sd, userEmail, req.params.id);
+    if (!list) throw new NotFoundError("Liste de distribution introuvable", { code: "list_not_found" });
+    if (!isTruthy(req.query?.check)) return res.json({ ok: true, list });
 
+    const client = await adminClient(sd);
     const userId = await getUserId(client, sd, userEmail);
-    const ab = await getAddressBook(client, sd, userId);
+    const addresses = uniqueAddresses(await getAddressBook(client, sd, userId));
+    const ids = new Set(addresses.map(a => a.AddressId));
+    const lines = list.lines.map(l => ({ ...l, exists: ids.has(l.addressId) }));
+    const missingCount = lines.filter(l => !l.exists).length;
 
-    const preferred = ab?.PreferredAddress ? [{ ...ab.PreferredAddress, IsPreferred: true }] : [];
-    const addresses = (ab?.Addresses || []).map(a => ({ ...a, IsPreferred: false }));
-
-    const rows = [...preferred, ...addresses].map(a => ({
-      AddressId: a.AddressId || "",
-      Business: a.Business || "",
-      FirstName: a.FirstName || "",
-      LastName: a.LastName || "",
-      Title: a.Title || "",
-      Address1: a.Address1 || "",
-      Address2: a.Address2 || "",
-      Address3: a.Address3 || "",
-      City: a.City || "",
-      StateProvince: a.StateProvince || "",
-      Postal: a.Postal || "",
-      Country: a.Country || "",
-      Phone: a.Phone || "",
-      Email: a.Email || "",
-      IsPreferred: a.IsPreferred ? "true" : "false",
-      Qty: ""
-    }));
+    return res.json({ ok: missingCount === 0, list: { ...list, lines }, missingCount });
+  } catch (e) {
+    return sendError(req, res, e);
+  }
+});
 
-    const headers = [
-      "AddressId","Business","FirstName","LastName","Title",
-      "Address1","Address2","Address3","City","StateProvince",
-      "Postal","Country","Phone","Email","IsPreferred","Qty"
-    ];
+app.post("/distribution-lists", async (req, res) => {
+  try {
+    const { userEmail, siteDomain } = req.body || {};
+    if (!userEmail) throw new ValidationError("userEmail requis", { code: "user_email_required" });
+    const sd = assertSiteDomain(siteDomain);
+    const name = assertListName(req.body?.name);
+    const lines = assertListLines(req.body?.lines);
 
-    const csv = toCsv(rows, headers);
+    const all = await distributionLists.load();
+    const lists = (all[listOwner(sd, userEmail)] ||= {});
+    if (nameTaken(lists, name)) throw new ConflictError("Une liste porte déjà ce nom", { code: "list_name_taken" });
 
-    res.setHeader("Content-Type", "text/csv; charset=utf-8");
-    res.setHeader("Content-Disposition", 'attachment; filename="addressbook.csv"');
-    return res.send(csv);
+    const now = new Date().toISOString();
+    const list = { id: crypto.randomUUID(), name, lines, createdAt: now, updatedAt: now };
+    lists[list.id] = list;
+    await distributionLists.save();
+
+    return res.status(201).json({ ok: true, list });
   } catch (e) {
-    console.error(e);
-    return res.status(500).send(e.message || "Erreur");
+    return sendError(req, res, e);
   }
 });
 
-/**
- * Export XLSX (ExcelJS) — on garde comme avant (fonctionnel)
- */
-app.get("/addressbook/export.xlsx", async (req, res) => {
+app.put("/distribution-lists/:id", async (req, res) => {
   try {
-    const { userEmail, siteDomain } = req.query || {};
-    if (!userEmail) return res.status(400).send("userEmail requis");
+    const { userEmail, siteDomain } = req.body || {};
+    if (!userEmail) throw new ValidationError("userEmail requis", { code: "user_email_required" });
     const sd = assertSiteDomain(siteDomain);
 
-    const token = await authenticate();
-    const client = api(token);
-
-    const userId = await getUserId(client, sd, userEmail);
-    const ab = await getAddressBook(client, sd, userId);
+    const all = await distributionLists.load();
+    const lists = all[listOwner(sd, userEmail)] || {};
+    const list = lists[req.params.id];
+    if (!list) throw new NotFoundError("Liste de distribution introuvable", { code: "list_not_found" });
 
-    const preferred = ab?.PreferredAddress
-      ? [{ ...ab.PreferredAddress, IsPreferred: true }]
-      : [];
-    const addresses = (ab?.Addresses || []).map(a => ({ ...a, IsPreferred: false }));
-
-    const rows = [...preferred, ...addresses].map(a => ({
-      AddressId: a.AddressId || "",
-      Business: a.Business || "",
-      FirstName: a.FirstName || "",
-      LastName: a.LastName || "",
-      Title: a.Title || "",
-      Address1: a.Address1 || "",
-      Address2: a.Address2 || "",
-      Address3: a.Address3 || "",
-      City: a.City || "",
-      StateProvince: a.StateProvince || "",
-      Postal: a.Postal || "",
-      Country: a.Country || "",
-      Phone: a.Phone || "",
-      Email: a.Email || "",
-      IsPreferred: a.IsPreferred ? "true" : "false",
-      Qty: ""
-    }));
+    const name = req.body?.name !== undefined ? assertListName(req.body.name) : list.name;
+    const lines = req.body?.lines !== undefined ? assertListLines(req.body.lines) : list.lines;
+    if (nameTaken(lists, name, list.id)) throw new ConflictError("Une liste porte déjà ce nom", { code: "list_name_taken" });
 
-    const wb = new ExcelJS.Workbook();
-    wb.creator = "cart-orchestrator";
-    wb.created = new Date();
+    Object.assign(list, { name, lines, updatedAt: new Date().toISOString() });
+    await distributionLists.save();
 
-    const ws = wb.addWorksheet("Addressbook", {
-      views: [{ state: "frozen", ySplit: 1 }]
-    });
+    return res.json({ ok: true, list });
+  } catch (e) {
+    return sendError(req, res, e);
+  }
+});
 
-    ws.columns = [
-      { header: "AddressId", key: "AddressId", width: 36 },
-      { header: "Business", key: "Business", width: 24 },
-      { header: "FirstName", key: "FirstName", width: 16 },
-      { header: "LastName", key: "LastName", width: 16 },
-      { header: "Title", key: "Title", width: 16 },
-      { header: "Address1", key: "Address1", width: 34 },
-      { header: "Address2", key: "Address2", width: 22 },
-      { header: "Address3", key: "Address3", width: 22 },
-      { header: "City", key: "City", width: 18 },
-      { header: "StateProvince", key: "StateProvince", width: 18 },
-      { header: "Postal", key: "Postal", width: 12 },
-      { header: "Country", key: "Country", width: 10 },
-      { header: "Phone", key: "Phone", width: 18 },
-      { header: "Email", key: "Email", width: 26 },
-      { header: "IsPreferred", key: "IsPreferred", width: 12 },
-      { header: "Qty", key: "Qty", width: 10 }
-    ];
+app.post("/distribution-lists/:id/duplicate", async (req, res) => {
+  try {
+    const { userEmail, siteDomain } = req.body || {};
+    if (!userEmail) throw new ValidationError("userEmail requis", { code: "user_email_required" });
+    const sd = assertSiteDomain(siteDomain);
 
-    ws.getRow(1).font = { bold: true };
-    ws.getRow(1).alignment = { vertical: "middle" };
-    ws.getRow(1).height = 18;
+    const all = await distributionLists.load();
+    const lists = all[listOwner(sd, userEmail)] || {};
+    const source = lists[req.params.id];
+    if (!source) throw new NotFoundError("Liste de distribution introuvable", { code: "list_not_found" });
 
-    ws.addRows(rows);
+    const name = req.body?.name ? assertListName(req.body.name) : copyName(lists, source.name);
+    if (nameTaken(lists, name)) throw new ConflictError("Une liste porte déjà ce nom", { code: "list_name_taken" });
 
-    res.setHeader("Content-Type", "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
-    res.setHeader("Content-Disposition", 'attachment; filename="addressbook.xlsx"');
+    const now = new Date().toISOString();
+    const list = { id: crypto.randomUUID(), name, lines: source.lines.map(l => ({ ...l })), createdAt: now, updatedAt: now };
+    lists[list.id] = list;
+    await distributionLists.save();
 
-    await wb.xlsx.write(res);
-    res.end();
+    return res.status(201).json({ ok: true, list });
   } catch (e) {
-    console.error(e);
-    return res.status(500).send(e.message || "Erreur");
+    return sendError(req, res, e);
   }
 });
 
-/**
- * Add to cart distribution (1 adresse = 1 item)
- */
-app.post("/add-to-cart-distribution", async (req, res) => {
+app.delete("/distribution-lists/:id", async (req, res) => {
   try {
-    const {
-      userEmail,
-      siteDomain,
-      urlName,
-      shippingMethod,
-      pricingOptions,
-      otherQuantities,
-      lines
-    } = req.body || {};
+    const { userEmail, siteDomain } = req.query || {};
+    if (!userEmail) throw new ValidationError("userEmail requis", { code: "user_email_required" });
+    const sd = assertSiteDomain(siteDomain);
 
-    if (!userEmail || !siteDomain || !urlName || !shippingMethod)
-      return res.status(400).json({ error: "userEmail, siteDomain, urlName, shippingMethod requis" });
+    const all = await distributionLists.load();
+    const lists = all[listOwner(sd, userEmail)];
+    if (!lists?.[req.params.id]) throw new NotFoundError("Liste de distribution introuvable", { code: "list_not_found" });
 
-    if (!Array.isArray(pricingOptions) || !pricingOptions.length)
-      return res.status(400).json({ error: "pricingOptions manquant" });
+    delete lists[req.params.id];
+    await distributionLists.save();
 
-    if (!Array.isArray(lines) || !lines.length)
-      return res.status(400).json({ error: "lines manquant" });
+    return res.json({ ok: true });
+  } catch (e) {
+    return sendError(req, res, e);
+  }
+});
 
-    const sd = assertSiteDomain(siteDomain);
-    const oq = Array.isArray(otherQuantities) ? otherQuantities : [];
+/**
+ * Jobs : état, progression, annulation, flux SSE
+ * (userEmail + siteDomain doivent correspondre au propriétaire du job)
+ */
+function findOwnedJob(req) {
+  const src = req.method === "GET" ? req.query : req.body;
+  const job = jobs.get(req.params.id);
+  if (!job || !src?.userEmail) return null;
+  if (norm(job.owner.userEmail) !== norm(src.userEmail)) return null;
+  if (job.owner.siteDomain !== String(src.siteDomain || "").trim().toLowerCase()) return null;
+  return job;
+}
 
-    const token = await authenticate();
-    const client = api(token);
+app.get("/jobs/:id", (req, res) => {
+  const job = findOwnedJob(req);
+  if (!job) throw new NotFoundError("Job introuvable", { code: "job_not_found" });
+  return res.json({ ok: true, ...jobView(job) });
+});
 
-    const userId = await getUserId(client, sd, userEmail);
-    const cartId = await getCartId(client, sd, userId);
-    const productId = await resolveProductId(client, sd, urlName);
+app.post("/jobs/:id/cancel", (req, res) => {
+  const job = findOwnedJob(req);
+  if (!job) throw new NotFoundError("Job introuvable", { code: "job_not_found" });
 
-    const results = [];
+  if (job.status === "queued") {
+    cancelQueuedJob(job);
+  } else if (job.status === "running") {
+    // les lignes en cours se terminent, les suivantes ne partent pas
+    job.cancelRequested = true;
+  } else {
+    throw new ConflictError("Job déjà terminé", { code: "job_finished", details: jobView(job) });
+  }
+
+  return res.json({ ok: true, ...jobView(job) });
+});
 
-    for (const row of lines) {
-      const qty = parseInt(row.qty, 10) || 0;
-      if (!qty) continue;
+app.get("/jobs/:id/events", (req, res) => {
+  const job = findOwnedJob(req);
+  if (!job) throw new NotFoundError("Job introuvable", { code: "job_not_found" });
 
-      const quantities = [qty, ...oq];
+  res.setHeader("Content-Type", "text/event-stream");
+  res.setHeader("Cache-Control", "no-cache");
+  res.setHeader("Connection", "keep-alive");
+  res.setHeader("X-Accel-Buffering", "no");
+  res.flushHeaders();
 
-      const payload = {
-        ProductId: productId,
-        ShipTo: row.addressId,
-        ShippingMethod: shippingMethod,
-        PricingParameters: { Quantities: quantities, Options: pricingOptions },
-        ItemName: "Distribution",
-        Notes: row.label || ""
-      };
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
 
-      try {
-        const r = await client.post(
-          `/api/cart/${sd}/${cartId}/item/`,
-          payload,
-          { params: { userId } }
-        );
-        results.push({ addressId: row.addressId, qty, status: r.status, ok: true });
-      } catch (err) {
-        const status = err?.response?.status;
-        const msg = err?.response?.data?.Message || err?.response?.data?.message || err?.message;
+  send("progress", jobView(job));
+  if (job.finishedAt) {
+    send("done", jobView(job));
+    return res.end();
+  }
 
-        if (status === 400 && msg === "ReOrderFullSuccess_PriceWarning") {
-          results.push({ addressId: row.addressId, qty, status, ok: true, warning: msg });
-          continue;
-        }
-        throw err;
-      }
-    }
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), 15000);
 
-    const added = results.filter(r => r.ok).length;
-    const warnings = results.filter(r => r.warning).length;
+  const listener = (event, view) => {
+    send(event, view);
+    if (event === "done") cleanup();
+  };
 
-    return res.json({ ok: true, cartId, added, warnings, results });
-  } catch (e) {
-    console.error(e);
-    return res.status(500).json({ error: e.message });
+  function cleanup() {
+    clearInterval(heartbeat);
+    job.listeners.delete(listener);
+    res.end();
   }
+
+  job.listeners.add(listener);
+  req.on("close", cleanup);
 });
 
+/**
+ * Routes inconnues et erreurs non rattrapées (JSON invalide, CORS, multer, throw hors try)
+ */
+app.use((req, res) => sendError(req, res, new NotFoundError("Route introuvable", { code: "route_not_found" })));
+
+app.use((err, req, res, next) => sendError(req, res, err));
+
 const port = process.env.PORT || 10000;
 app.listen(port, () => console.log(`cart-orchestrator listening on :${port}`));